@@ -0,0 +1,471 @@
+// /admin slash command for role-bot.js: lookups, manual wallet links, syncs, sync plans, role overrides, the blocklist,
+// the audit history and holder snapshots
+import path from 'path';
+import { PermissionFlagsBits, SlashCommandBuilder } from 'discord.js';
+import { getStakeAddress, isStakeAddress } from './cardano-address.js';
+import { loadVerifiedData, normalizeWallets, removeVerifiedWallet, updateVerifiedData } from './verified-store.js';
+import { detachWallet, findOtherOwners, loadFlaggedClaims, recordFlaggedClaim } from './wallet-ownership.js';
+import { getBlockReason, loadOverrides, setBlocked, setRoleOverride } from './admin-store.js';
+import { formatPlanSummary } from './role-sync.js';
+import { formatAuditEvent, logAuditEvent, readAuditEvents } from './audit-log.js';
+import {
+  describeSnapshotFilters, formatSnapshot, listSnapshots, loadSnapshot, saveSnapshot, takeSnapshot
+} from './holder-snapshot.js';
+
+// Members need Manage Roles to see and use /admin
+const ADMIN_PERMISSION = PermissionFlagsBits.ManageRoles;
+
+export const adminCommand = new SlashCommandBuilder()
+  .setName('admin')
+  .setDescription('Moderation and manual overrides for wallet verification and roles')
+  .setDefaultMemberPermissions(ADMIN_PERMISSION)
+  .setDMPermission(false)
+  .addSubcommand(sub => sub
+    .setName('lookup')
+    .setDescription("Show a member's wallets, holdings and roles")
+    .addUserOption(opt => opt.setName('user').setDescription('Member').setRequired(true)))
+  .addSubcommand(sub => sub
+    .setName('link')
+    .setDescription('Link a wallet to a member without verification')
+    .addUserOption(opt => opt.setName('user').setDescription('Member').setRequired(true))
+    .addStringOption(opt => opt.setName('wallet').setDescription('Cardano wallet address').setRequired(true)))
+  .addSubcommand(sub => sub
+    .setName('unlink')
+    .setDescription('Unlink a wallet from a member')
+    .addUserOption(opt => opt.setName('user').setDescription('Member').setRequired(true))
+    .addStringOption(opt => opt.setName('wallet').setDescription('Cardano wallet address').setRequired(true)))
+  .addSubcommand(sub => sub
+    .setName('sync')
+    .setDescription('Re-sync roles for one member, or everyone when no member is given')
+    .addUserOption(opt => opt.setName('user').setDescription('Member')))
+  .addSubcommandGroup(group => group
+    .setName('override')
+    .setDescription('Roles the role sync always grants and never removes')
+    .addSubcommand(sub => sub
+      .setName('add')
+      .setDescription('Grant a role override')
+      .addUserOption(opt => opt.setName('user').setDescription('Member').setRequired(true))
+      .addRoleOption(opt => opt.setName('role').setDescription('Role').setRequired(true)))
+    .addSubcommand(sub => sub
+      .setName('remove')
+      .setDescription('Remove a role override')
+      .addUserOption(opt => opt.setName('user').setDescription('Member').setRequired(true))
+      .addRoleOption(opt => opt.setName('role').setDescription('Role').setRequired(true))))
+  .addSubcommand(sub => sub
+    .setName('block')
+    .setDescription('Block a member and/or wallet from verifying')
+    .addUserOption(opt => opt.setName('user').setDescription('Member'))
+    .addStringOption(opt => opt.setName('wallet').setDescription('Wallet or stake address')))
+  .addSubcommand(sub => sub
+    .setName('unblock')
+    .setDescription('Allow a member and/or wallet to verify again')
+    .addUserOption(opt => opt.setName('user').setDescription('Member'))
+    .addStringOption(opt => opt.setName('wallet').setDescription('Wallet or stake address')))
+  .addSubcommand(sub => sub
+    .setName('flagged')
+    .setDescription('Show wallet claims flagged for review'))
+  .addSubcommand(sub => sub
+    .setName('history')
+    .setDescription("Show a member's verification, wallet and role history")
+    .addUserOption(opt => opt.setName('user').setDescription('Member').setRequired(true))
+    .addIntegerOption(opt => opt.setName('limit').setDescription('Number of events (default 20)').setMinValue(1).setMaxValue(50)))
+  .addSubcommandGroup(group => group
+    .setName('plan')
+    .setDescription('Preview a full role sync and apply it later')
+    .addSubcommand(sub => sub
+      .setName('preview')
+      .setDescription('Dry run: work out every role change without making it, and save the plan'))
+    .addSubcommand(sub => sub
+      .setName('apply')
+      .setDescription('Apply a saved plan')
+      .addStringOption(opt => opt.setName('name').setDescription('Plan name from /admin plan preview').setRequired(true)))
+    .addSubcommand(sub => sub
+      .setName('list')
+      .setDescription('List saved plans')))
+  .addSubcommandGroup(group => group
+    .setName('snapshot')
+    .setDescription('Snapshots of verified holders for airdrops and giveaways')
+    .addSubcommand(sub => sub
+      .setName('take')
+      .setDescription('Snapshot the verified holders from their last sync and save it')
+      .addStringOption(opt => opt.setName('policy').setDescription('Policy or combined count label from the rules'))
+      .addIntegerOption(opt => opt.setName('min').setDescription('Minimum count (default 1)').setMinValue(0))
+      .addRoleOption(opt => opt.setName('role').setDescription('Only holders with this role'))
+      .addStringOption(opt => opt.setName('format').setDescription('File format (default csv)')
+        .addChoices({ name: 'CSV', value: 'csv' }, { name: 'JSON', value: 'json' })))
+    .addSubcommand(sub => sub
+      .setName('export')
+      .setDescription('Export a saved snapshot again')
+      .addStringOption(opt => opt.setName('name').setDescription('Snapshot name from /admin snapshot list').setRequired(true))
+      .addStringOption(opt => opt.setName('format').setDescription('File format (default csv)')
+        .addChoices({ name: 'CSV', value: 'csv' }, { name: 'JSON', value: 'json' })))
+    .addSubcommand(sub => sub
+      .setName('list')
+      .setDescription('List saved snapshots')));
+
+// Describe a member sync result for admins
+function describeSync(result) {
+  if (!result) return 'Member is not in this server.';
+  if (!result.entry && result.added.length === 0) return 'Holdings could not be fetched, roles were not changed.';
+  const added = result.added.length > 0 ? result.added.join(', ') : 'none';
+  const removed = result.removed.length > 0 ? result.removed.join(', ') : 'none';
+  const lines = [`➕ Added: ${added}`, `➖ Removed: ${removed}`];
+  for (const role of result.pending) {
+    lines.push(`⏳ ${role.name} will be removed <t:${Math.floor(Date.parse(role.removeAt) / 1000)}:R>`);
+  }
+  return lines.join('\n');
+}
+
+// Wallet links, the blocklist and the audit history are shared by every guild. Admins of the primary (GUILD_ID) guild
+// manage them for everyone; admins of other guilds only for members of their own guild
+async function checkMemberScope(interaction, ctx, user) {
+  if (ctx.isPrimaryGuild || await ctx.isMember(user.id)) return true;
+  await interaction.editReply(`⛔ <@${user.id}> is not a member of this server.`);
+  return false;
+}
+
+// Re-sync a member in every guild after one of their wallet links changed; returns a line for the reply
+async function describeSyncEverywhere(ctx, discordId) {
+  const failed = await ctx.syncMemberEverywhere(discordId);
+  return failed.length === 0
+    ? `🔄 Re-synced <@${discordId}> in every server.`
+    : `⚠️ Could not re-sync <@${discordId}> in server ${failed.join(', ')}, the next sync there will.`;
+}
+
+// Wallet links count in every guild, so outside the primary guild a link or unlink is recorded as a flagged claim
+// for the primary guild's admins instead of being made
+async function flagLinkRequest(interaction, ctx, claim, description) {
+  await recordFlaggedClaim({ ...claim, requestedBy: interaction.user.id, guildId: ctx.guildId });
+  console.log(`🔧 Admin ${interaction.user.id} asked to ${description} from guild ${ctx.guildId}, flagged`);
+}
+
+// The blocklist and flagged claims affect every guild, so only admins of the primary guild handle them
+async function checkPrimaryGuild(interaction, ctx) {
+  if (ctx.isPrimaryGuild) return true;
+  await interaction.editReply('⛔ The blocklist and flagged claims are shared by every server, only admins of the main server can manage them.');
+  return false;
+}
+
+async function lookup(interaction, ctx) {
+  const user = interaction.options.getUser('user');
+  if (!await checkMemberScope(interaction, ctx, user)) return;
+  const verified = await loadVerifiedData();
+  const rolesData = await ctx.loadRolesData();
+  const overrides = await loadOverrides(ctx.guildId);
+  const wallets = normalizeWallets(verified[user.id]);
+  const entry = rolesData[user.id];
+
+  const lines = [`👤 **${user.tag}** (${user.id})`];
+  if (await getBlockReason(user.id, null, null)) lines.push('⛔ Blocked from verifying');
+  lines.push(wallets.length > 0 ? '**Wallets:**' : 'No linked wallets.');
+  for (const w of wallets) {
+    const blocked = await getBlockReason(null, w.address, w.stakeAddress);
+    lines.push(`${w.primary ? '⭐' : '•'} \`${w.address}\`${w.stakeAddress ? ` (\`${w.stakeAddress}\`)` : ''}${blocked ? ' ⛔' : ''}`);
+  }
+  if (entry) {
+    const holdings = Object.entries(entry.assets)
+      .filter(([, a]) => a.count > 0)
+      .map(([policy, a]) => `${policy}: ${a.count}`);
+    lines.push(`**Holdings:** ${holdings.join(', ') || 'none'}`);
+    lines.push(`**Assigned roles:** ${entry.assignedRoles.join(', ') || 'none'}`);
+  } else {
+    lines.push('No holdings recorded in roles.json.');
+  }
+  if (overrides[user.id]) lines.push(`**Overrides:** ${overrides[user.id].join(', ')}`);
+  await interaction.editReply(lines.join('\n'));
+}
+
+async function link(interaction, ctx) {
+  const user = interaction.options.getUser('user');
+  const wallet = interaction.options.getString('wallet').trim();
+  if (!/^addr(_test)?1/.test(wallet)) {
+    await interaction.editReply('❌ Invalid wallet address. Must start with "addr1" (or "addr_test1" on testnets).');
+    return;
+  }
+
+  if (!await checkMemberScope(interaction, ctx, user)) return;
+
+  // A manual link proves no key, so the wallet counts and conflicts as this address only
+  const stakeAddress = getStakeAddress(wallet);
+  if (!ctx.isPrimaryGuild) {
+    const owners = findOtherOwners(await loadVerifiedData(), user.id, wallet, null);
+    await flagLinkRequest(interaction, ctx, { address: wallet, stakeAddress, claimant: user.id, owners }, `link ${wallet} to ${user.id}`);
+    const linked = owners.length > 0 ? ` It is linked to ${owners.map(id => `<@${id}>`).join(', ')} now.` : '';
+    await interaction.editReply(
+      `🚩 Wallet links count in every server, so only admins of the main server can link \`${wallet}\` to <@${user.id}>. ` +
+      `The request has been flagged for them.${linked}`
+    );
+    return;
+  }
+
+  const previousOwners = await updateVerifiedData(existing => {
+    // A manual link in the primary guild always wins over existing claims
+    const owners = findOtherOwners(existing, user.id, wallet, null);
+    detachWallet(existing, owners, wallet, null);
+
+    const wallets = normalizeWallets(existing[user.id]);
+    if (!wallets.some(w => w.address === wallet)) {
+      const now = new Date().toISOString();
+      wallets.push({ address: wallet, stakeAddress, linkedAt: now, verifiedAt: now, linkedBy: interaction.user.id });
+    }
+    if (!wallets.some(w => w.primary)) wallets[0].primary = true;
+    existing[user.id] = wallets;
+    return owners;
+  });
+  console.log(`🔧 Admin ${interaction.user.id} linked ${wallet} to ${user.id}`);
+  await logAuditEvent('wallet.linked', { discordId: user.id, wallet, reason: 'linked by an admin', by: interaction.user.id });
+  for (const owner of previousOwners) {
+    await logAuditEvent('wallet.unlinked', { discordId: owner, wallet, reason: `moved to ${user.id} by an admin`, by: interaction.user.id });
+  }
+
+  const moved = previousOwners.length > 0 ? `\nMoved from: ${previousOwners.map(id => `<@${id}>`).join(', ')}` : '';
+  const synced = [];
+  for (const discordId of [user.id, ...previousOwners]) synced.push(await describeSyncEverywhere(ctx, discordId));
+  await interaction.editReply(`🔗 Linked \`${wallet}\` to <@${user.id}>.${moved}\n${synced.join('\n')}`);
+}
+
+async function unlink(interaction, ctx) {
+  const user = interaction.options.getUser('user');
+  const wallet = interaction.options.getString('wallet').trim();
+  if (!await checkMemberScope(interaction, ctx, user)) return;
+  if (!ctx.isPrimaryGuild) {
+    const linked = normalizeWallets((await loadVerifiedData())[user.id]).some(w => w.address === wallet);
+    if (!linked) {
+      await interaction.editReply(`❌ \`${wallet}\` is not linked to <@${user.id}>.`);
+      return;
+    }
+    await flagLinkRequest(interaction, ctx, { action: 'unlink', address: wallet, owners: [user.id] }, `unlink ${wallet} from ${user.id}`);
+    await interaction.editReply(
+      `🚩 Wallet links count in every server, so only admins of the main server can unlink \`${wallet}\` from <@${user.id}>. ` +
+      'The request has been flagged for them.'
+    );
+    return;
+  }
+
+  const removed = await removeVerifiedWallet(user.id, wallet);
+  if (!removed) {
+    await interaction.editReply(`❌ \`${wallet}\` is not linked to <@${user.id}>.`);
+    return;
+  }
+  console.log(`🔧 Admin ${interaction.user.id} unlinked ${wallet} from ${user.id}`);
+  await logAuditEvent('wallet.unlinked', { discordId: user.id, wallet, reason: 'unlinked by an admin', by: interaction.user.id });
+  await interaction.editReply(`🗑️ Unlinked \`${wallet}\` from <@${user.id}>.\n${await describeSyncEverywhere(ctx, user.id)}`);
+}
+
+async function sync(interaction, ctx) {
+  const user = interaction.options.getUser('user');
+  if (user) {
+    const result = await ctx.syncMember(user.id);
+    await interaction.editReply(`🔄 Synced <@${user.id}>.\n${describeSync(result)}`);
+    return;
+  }
+  if (ctx.isSyncRunning()) {
+    await interaction.editReply('⏳ A full role sync is already running.');
+    return;
+  }
+  // A full sync can outlive the interaction, so don't wait for it
+  ctx.syncAll().catch(err => console.error('❌ Admin full sync failed:', err.message));
+  console.log(`🔧 Admin ${interaction.user.id} started a full role sync`);
+  await interaction.editReply('🔄 Full role sync started.');
+}
+
+// Why a role can't be granted as an override by this admin, or null; like Discord itself, admins can only hand out
+// roles below their own highest role (the server owner is exempt)
+function getOverrideRefusal(interaction, role) {
+  if (role.id === interaction.guildId) return '❌ @everyone can\'t be an override.';
+  if (role.managed) return `❌ **${role.name}** is managed by an integration and can't be an override.`;
+  if (interaction.guild?.ownerId === interaction.user.id) return null;
+  const highest = interaction.member?.roles?.highest;
+  if (!highest || role.position >= highest.position) {
+    return `❌ **${role.name}** is not below your highest role, so you can't grant it as an override.`;
+  }
+  return null;
+}
+
+async function override(interaction, ctx) {
+  const user = interaction.options.getUser('user');
+  const role = interaction.options.getRole('role');
+  const enabled = interaction.options.getSubcommand() === 'add';
+  // Removing an override grants nothing, so only additions are checked
+  const refusal = enabled ? getOverrideRefusal(interaction, role) : null;
+  if (refusal) {
+    await interaction.editReply(refusal);
+    return;
+  }
+  const roles = await setRoleOverride(ctx.guildId, user.id, role.name, enabled);
+  console.log(`🔧 Admin ${interaction.user.id} ${enabled ? 'added' : 'removed'} override ${role.name} for ${user.id}`);
+
+  const result = await ctx.syncMember(user.id);
+  await interaction.editReply(
+    `${enabled ? '📌 Added' : '🗑️ Removed'} override **${role.name}** for <@${user.id}>. ` +
+    `Overrides: ${roles.join(', ') || 'none'}.\n${describeSync(result)}`
+  );
+}
+
+async function block(interaction, ctx) {
+  if (!await checkPrimaryGuild(interaction, ctx)) return;
+  const user = interaction.options.getUser('user');
+  const wallet = interaction.options.getString('wallet')?.trim();
+  const blocked = interaction.options.getSubcommand() === 'block';
+  if (!user && !wallet) {
+    await interaction.editReply('❌ Give a member, a wallet, or both.');
+    return;
+  }
+
+  const changed = [];
+  if (user) {
+    await setBlocked('users', [user.id], blocked);
+    changed.push(`<@${user.id}>`);
+  }
+  if (wallet) {
+    // Block the whole wallet: the address and its stake key
+    const stakeAddress = isStakeAddress(wallet) ? null : getStakeAddress(wallet);
+    const values = [wallet, stakeAddress].filter(Boolean);
+    await setBlocked('wallets', values, blocked);
+    changed.push(...values.map(v => `\`${v}\``));
+  }
+  console.log(`🔧 Admin ${interaction.user.id} ${blocked ? 'blocked' : 'unblocked'} ${changed.join(', ')}`);
+  await interaction.editReply(`${blocked ? '⛔ Blocked' : '✅ Unblocked'}: ${changed.join(', ')}`);
+}
+
+async function flagged(interaction, ctx) {
+  if (!await checkPrimaryGuild(interaction, ctx)) return;
+  const claims = await loadFlaggedClaims();
+  if (claims.length === 0) {
+    await interaction.editReply('No flagged wallet claims.');
+    return;
+  }
+  const lines = claims.slice(-15).map(c => {
+    const owners = c.owners.map(id => `<@${id}>`).join(', ');
+    const request = c.action === 'unlink'
+      ? `unlink from ${owners} asked by <@${c.requestedBy}> in server ${c.guildId}`
+      : `${c.requestedBy ? `link to <@${c.claimant}> asked by <@${c.requestedBy}> in server ${c.guildId}` : `claimed by <@${c.claimant}>`}, ` +
+        (owners ? `owned by ${owners}` : 'not linked to anyone');
+    return `🚩 \`${c.address}\` ${request} (<t:${Math.floor(Date.parse(c.flaggedAt) / 1000)}:R>)`;
+  });
+  await interaction.editReply(`Latest ${lines.length} of ${claims.length} flagged claims:\n${lines.join('\n')}`);
+}
+
+async function history(interaction, ctx) {
+  const user = interaction.options.getUser('user');
+  if (!await checkMemberScope(interaction, ctx, user)) return;
+  const events = await readAuditEvents(user.id, interaction.options.getInteger('limit') || 20, ctx.guildId);
+  if (events.length === 0) {
+    await interaction.editReply(`No recorded events for <@${user.id}>.`);
+    return;
+  }
+  // Drop the oldest lines until the reply fits in a message
+  const lines = events.map(formatAuditEvent);
+  while (lines.length > 1 && lines.join('\n').length > 1900) lines.shift();
+  await interaction.editReply(`📜 Latest ${lines.length} events for <@${user.id}>:\n${lines.join('\n')}`);
+}
+
+async function plan(interaction, ctx) {
+  const subcommand = interaction.options.getSubcommand();
+  if (subcommand === 'list') {
+    const names = (await ctx.listPlans()).slice(0, 15);
+    await interaction.editReply(names.length > 0 ? `Saved plans:\n${names.map(n => `• \`${n}\``).join('\n')}` : 'No saved plans.');
+    return;
+  }
+
+  if (subcommand === 'apply') {
+    // Only names: plans outside the guild's plans folder are out of reach
+    const name = path.basename(interaction.options.getString('name').trim());
+    let results;
+    try {
+      results = await ctx.applyPlan(name);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      await interaction.editReply(`❌ No saved plan named \`${name}\`. Use \`/admin plan list\` to see the saved plans.`);
+      return;
+    }
+    const added = results.reduce((sum, r) => sum + r.added.length, 0);
+    const removed = results.reduce((sum, r) => sum + r.removed.length, 0);
+    console.log(`🔧 Admin ${interaction.user.id} applied role sync plan ${name}`);
+    await interaction.editReply(`✅ Applied \`${name}\`: ➕ ${added} roles added, ➖ ${removed} removed across ${results.length} members.`);
+    return;
+  }
+
+  if (ctx.isSyncRunning()) {
+    await interaction.editReply('⏳ A full role sync is running, the preview will start right after it.');
+  }
+  const { plan: syncPlan, name } = await ctx.planSync();
+  console.log(`🔧 Admin ${interaction.user.id} created role sync plan ${name}`);
+  await interaction.editReply({
+    content: `${formatPlanSummary(syncPlan, 15)}\n\nSaved as \`${name}\`. Apply it with \`/admin plan apply\`.`.slice(0, 2000),
+    files: [{ attachment: Buffer.from(JSON.stringify(syncPlan, null, 2)), name }]
+  });
+}
+
+async function snapshot(interaction, ctx) {
+  const subcommand = interaction.options.getSubcommand();
+  if (subcommand === 'list') {
+    const names = (await listSnapshots(ctx.guildId)).slice(0, 15);
+    await interaction.editReply(names.length > 0 ? `Saved snapshots:\n${names.map(n => `• \`${n}\``).join('\n')}` : 'No saved snapshots.');
+    return;
+  }
+
+  const format = interaction.options.getString('format') || 'csv';
+  let holderSnapshot;
+  let name;
+  if (subcommand === 'export') {
+    // Only names: snapshots of other guilds are out of reach
+    name = path.basename(interaction.options.getString('name').trim());
+    try {
+      holderSnapshot = await loadSnapshot(name, ctx.guildId);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      await interaction.editReply(`❌ No saved snapshot named \`${name}\`. Use \`/admin snapshot list\` to see the saved snapshots.`);
+      return;
+    }
+  } else {
+    try {
+      holderSnapshot = await takeSnapshot(ctx.guildId, ctx.rules, await ctx.loadRolesData(), {
+        policy: interaction.options.getString('policy')?.trim() || null,
+        minCount: interaction.options.getInteger('min'),
+        role: interaction.options.getRole('role')?.name || null
+      });
+    } catch (err) {
+      await interaction.editReply(`❌ ${err.message}`);
+      return;
+    }
+    name = await saveSnapshot(holderSnapshot);
+    console.log(`🔧 Admin ${interaction.user.id} saved holder snapshot ${name}`);
+  }
+
+  const { holders, filters, takenAt } = holderSnapshot;
+  await interaction.editReply({
+    content: `📸 \`${name}\` from <t:${Math.floor(Date.parse(takenAt) / 1000)}:f>: ` +
+      `${holders.length} verified holders with ${describeSnapshotFilters(filters)}.`,
+    files: [{ attachment: Buffer.from(formatSnapshot(holderSnapshot, format)), name: name.replace(/\.json$/, `.${format}`) }]
+  });
+}
+
+// Handle /admin in a guild; ctx = { guildId, isPrimaryGuild, isMember(discordId), rules, syncMember(discordId),
+//   syncMemberEverywhere(discordId), syncAll(), isSyncRunning(), loadRolesData(), planSync(), applyPlan(name), listPlans() }
+export async function handleAdminCommand(interaction, ctx) {
+  // Default member permissions can be changed by server admins, so check again
+  if (!interaction.memberPermissions?.has(ADMIN_PERMISSION)) {
+    await interaction.reply({ content: '⛔ You need the Manage Roles permission to use this command.', ephemeral: true });
+    return;
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+  try {
+    const group = interaction.options.getSubcommandGroup(false);
+    const subcommand = interaction.options.getSubcommand();
+    if (group === 'override') await override(interaction, ctx);
+    else if (group === 'plan') await plan(interaction, ctx);
+    else if (group === 'snapshot') await snapshot(interaction, ctx);
+    else if (subcommand === 'lookup') await lookup(interaction, ctx);
+    else if (subcommand === 'link') await link(interaction, ctx);
+    else if (subcommand === 'unlink') await unlink(interaction, ctx);
+    else if (subcommand === 'sync') await sync(interaction, ctx);
+    else if (subcommand === 'block' || subcommand === 'unblock') await block(interaction, ctx);
+    else if (subcommand === 'flagged') await flagged(interaction, ctx);
+    else if (subcommand === 'history') await history(interaction, ctx);
+  } catch (err) {
+    console.error('❌ Error processing /admin command:', err.message);
+    await interaction.editReply('An error occurred while processing the command.');
+  }
+}
@@ -0,0 +1,57 @@
+// Admin moderation data shared by the verify and role bots
+//   overrides.json: { "<discordId>": ["Role name", ...] }   roles the role sync always grants and never removes
+//                   (one file per guild, see guild-config.js)
+//   blocklist.json: { "users": ["<discordId>"], "wallets": ["addr1...", "stake1..."] }   may not verify (every guild)
+import { getGuildDataName } from './guild-config.js';
+import { openStore } from './storage.js';
+
+const overridesStores = new Map();
+const blocklistStore = openStore('blocklist', { defaultValue: () => ({ users: [], wallets: [] }) });
+
+function getOverridesStore(guildId) {
+  const name = getGuildDataName('overrides', guildId);
+  if (!overridesStores.has(name)) overridesStores.set(name, openStore(name));
+  return overridesStores.get(name);
+}
+
+export function loadOverrides(guildId) {
+  return getOverridesStore(guildId).read();
+}
+
+// Add or remove a role override for a member of a guild; returns the member's override list
+export function setRoleOverride(guildId, discordId, roleName, enabled) {
+  return getOverridesStore(guildId).update(overrides => {
+    const roles = new Set(overrides[discordId] || []);
+    if (enabled) roles.add(roleName);
+    else roles.delete(roleName);
+
+    if (roles.size > 0) overrides[discordId] = [...roles];
+    else delete overrides[discordId];
+    return [...roles];
+  });
+}
+
+export async function loadBlocklist() {
+  const blocklist = await blocklistStore.read();
+  return { users: blocklist.users || [], wallets: blocklist.wallets || [] };
+}
+
+// Block or unblock a Discord ID ('users') or a wallet/stake address ('wallets')
+export function setBlocked(list, values, blocked) {
+  return blocklistStore.update(blocklist => {
+    const entries = new Set(blocklist[list] || []);
+    for (const value of values) {
+      if (blocked) entries.add(value);
+      else entries.delete(value);
+    }
+    blocklist[list] = [...entries];
+  });
+}
+
+// Why a user/wallet may not verify, or null when they may
+export async function getBlockReason(discordId, address, stakeAddress) {
+  const blocklist = await loadBlocklist();
+  if (blocklist.users.includes(discordId)) return 'user';
+  if (blocklist.wallets.includes(address) || (stakeAddress && blocklist.wallets.includes(stakeAddress))) return 'wallet';
+  return null;
+}
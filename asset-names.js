@@ -0,0 +1,30 @@
+// Asset name decoding for holdings, aware of CIP-68 tokens
+//
+// CIP-68 asset names start with a 4-byte CIP-67 label that says what kind of token it is:
+//   000643b0 (100)  reference NFT: carries the metadata datum, usually held by a script, never a holding
+//   000de140 (222)  NFT
+//   0014df10 (333)  fungible token
+//   001bc280 (444)  rich fungible token
+// The label is not part of the token's name, so it is stripped. Names are shown as UTF-8 when they are readable text
+// and as hex otherwise (binary names are common for fungible tokens).
+export const CIP68_REFERENCE_LABEL = 100;
+
+const CIP68_LABELS = { '000643b0': 100, '000de140': 222, '0014df10': 333, '001bc280': 444 };
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+
+function toDisplayName(hex) {
+  try {
+    const text = utf8.decode(Buffer.from(hex, 'hex'));
+    // Control characters mean binary data that only happens to be valid UTF-8
+    if (!/[\u0000-\u001f\u007f]/.test(text)) return text;
+  } catch {
+    // Not UTF-8
+  }
+  return hex;
+}
+
+// Decode the hex asset name of a unit into { name, label }, label being the CIP-67 label number or null
+export function decodeAssetName(assetNameHex) {
+  const label = CIP68_LABELS[assetNameHex.slice(0, 8)] ?? null;
+  return { name: toDisplayName(label === null ? assetNameHex : assetNameHex.slice(8)), label };
+}
@@ -0,0 +1,110 @@
+// Structured audit events shared by the verify and role bots
+//
+// Every event is appended as one JSON line to audit-log.jsonl in DATA_DIR (AUDIT_LOG_FILE to use another name):
+//   { "at": "<ISO date>", "type": "<type>", "discordId": "...", ...details }
+// Event types and their details:
+//   verification.started    wallet, method ('transaction' | 'signature')
+//   verification.succeeded  wallet, method
+//   verification.failed     wallet, method, reason
+//   wallet.linked           wallet, reason, by (admin ID, when an admin did it)
+//   wallet.unlinked         wallet, reason, by
+//   role.added              guildId, role, reason
+//   role.removed            guildId, role, reason
+// With AUDIT_CHANNEL_ID set, each bot also posts the events it logs as embeds to that channel. Role events go to the
+// audit channel of their guild instead (see guild-config.js), so partner servers only see their own role changes.
+import fs from 'fs/promises';
+import path from 'path';
+import { EmbedBuilder } from 'discord.js';
+import { getDataDir } from './storage.js';
+import { getGuildConfig } from './guild-config.js';
+
+const EVENT_STYLES = {
+  'verification.started': { title: '🔐 Verification started', color: 0x5865f2 },
+  'verification.succeeded': { title: '✅ Verification succeeded', color: 0x57f287 },
+  'verification.failed': { title: '❌ Verification failed', color: 0xed4245 },
+  'wallet.linked': { title: '🔗 Wallet linked', color: 0x57f287 },
+  'wallet.unlinked': { title: '🗑️ Wallet unlinked', color: 0xfee75c },
+  'role.added': { title: '➕ Role added', color: 0x57f287 },
+  'role.removed': { title: '➖ Role removed', color: 0xed4245 }
+};
+
+let auditClient = null;
+let pendingWrite = Promise.resolve();
+
+function getLogPath() {
+  return path.join(getDataDir(), process.env.AUDIT_LOG_FILE || 'audit-log.jsonl');
+}
+
+// Post events logged from now on to AUDIT_CHANNEL_ID through this Discord client
+export function setAuditClient(client) {
+  auditClient = client;
+}
+
+// One-line description of an event, e.g. for /admin history
+export function formatAuditEvent(event) {
+  const details = [
+    event.role && `**${event.role}**`,
+    event.wallet && `\`${event.wallet}\``,
+    event.method && `via ${event.method}`,
+    event.reason && `(${event.reason})`,
+    event.by && `by <@${event.by}>`
+  ].filter(Boolean);
+  const title = EVENT_STYLES[event.type]?.title || event.type;
+  return `<t:${Math.floor(Date.parse(event.at) / 1000)}:f> ${title} ${details.join(' ')}`.trim();
+}
+
+async function postToChannel(event) {
+  const channelId = event.guildId ? (await getGuildConfig(event.guildId))?.auditChannelId : process.env.AUDIT_CHANNEL_ID;
+  if (!channelId || !auditClient?.isReady()) return;
+  const style = EVENT_STYLES[event.type] || { title: event.type, color: 0x99aab5 };
+  const embed = new EmbedBuilder()
+    .setTitle(style.title)
+    .setColor(style.color)
+    .setTimestamp(new Date(event.at))
+    .addFields({ name: 'Member', value: `<@${event.discordId}> (${event.discordId})` });
+  if (event.wallet) embed.addFields({ name: 'Wallet', value: `\`${event.wallet}\`` });
+  if (event.role) embed.addFields({ name: 'Role', value: event.role, inline: true });
+  if (event.method) embed.addFields({ name: 'Method', value: event.method, inline: true });
+  if (event.reason) embed.addFields({ name: 'Reason', value: event.reason });
+  if (event.by) embed.addFields({ name: 'By', value: `<@${event.by}>`, inline: true });
+
+  const channel = await auditClient.channels.fetch(channelId);
+  await channel.send({ embeds: [embed] });
+}
+
+// Append an event to the audit log and post it to the audit channel; never throws
+export async function logAuditEvent(type, details) {
+  const event = { at: new Date().toISOString(), type, ...details };
+  // One appendFile per line keeps lines whole, also with both bots writing
+  pendingWrite = pendingWrite
+    .then(() => fs.appendFile(getLogPath(), `${JSON.stringify(event)}\n`))
+    .catch(err => console.error('❌ Failed to write audit log:', err.message));
+  // Posting can be slow or rate limited, so don't wait for it
+  postToChannel(event).catch(err => console.error('❌ Failed to post audit event:', err.message));
+  await pendingWrite;
+  return event;
+}
+
+// Latest events about a member (or done by them as an admin), oldest first
+// With guildId, role events of other guilds are left out
+export async function readAuditEvents(discordId, limit = 20, guildId = null) {
+  let data;
+  try {
+    data = await fs.readFile(getLogPath(), 'utf-8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const events = [];
+  for (const line of data.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const event = JSON.parse(line);
+      if (guildId && event.guildId && event.guildId !== guildId) continue;
+      if (event.discordId === discordId || event.by === discordId) events.push(event);
+    } catch {
+      // Skip a line cut short by a crash
+    }
+  }
+  return events.slice(-limit);
+}
@@ -0,0 +1,30 @@
+// Cardano address helpers shared by the verify and role bots
+import CSL from '@emurgo/cardano-serialization-lib-nodejs';
+
+// Payment address prefix for a network: addr1 on mainnet, addr_test1 on the testnets
+export function getAddressPrefix(network = 'mainnet') {
+  return network === 'mainnet' ? 'addr1' : 'addr_test1';
+}
+
+// Basic shape check for a Shelley payment address (mainnet unless a network is given)
+export function isValidCardanoAddress(address, network = 'mainnet') {
+  return address && address.startsWith(getAddressPrefix(network)) && address.length >= 58 && /^[a-zA-Z0-9_]+$/.test(address);
+}
+
+// Whether a holdings key is a stake address rather than a payment address
+export function isStakeAddress(value) {
+  return /^stake(_test)?1/.test(value);
+}
+
+// Work out the stake address (stake1...) of a base address, or null if it has no stake credential
+export function getStakeAddress(address) {
+  try {
+    const addr = CSL.Address.from_bech32(address.trim());
+    const base = CSL.BaseAddress.from_address(addr);
+    if (!base) return null;
+    return CSL.RewardAddress.new(addr.network_id(), base.stake_cred()).to_address().to_bech32();
+  } catch (err) {
+    console.warn(`⚠️ Could not derive stake address for ${address}: ${err.message}`);
+    return null;
+  }
+}
@@ -0,0 +1,345 @@
+// Chain data providers shared by the verify and role bots
+//
+// Every provider has the same interface:
+//   getTxUtxos(txHash)          -> { inputs: [{ address, amount }], outputs: [{ address, amount }] }
+//   getTx(txHash)               -> { hash, block_time }   (block_time in seconds)
+//   getAddressAssets(address)   -> [{ unit, quantity }]   including 'lovelace'
+//   getStakeAssets(stakeAddr)   -> [{ unit, quantity }]   assets of every address under the stake key
+//   getAssetMetadata(unit)      -> CIP-25 on-chain metadata object, or null
+//   getWalletState(key)         -> string that changes whenever a transaction touches the address or stake key
+//   getLatestBlock()            -> { height, hash }
+//   getBlockAddresses(height)   -> [{ address, txHashes }]   addresses touched by the transactions of a block
+//   getAccount(stakeAddr)       -> { poolId, lovelace, delegatedSinceEpoch }   pool the stake key is delegated to
+//                                  (or null), ADA it controls (with rewards, a string) and the epoch the delegation
+//                                  to that pool became active (null when not known yet)
+//   getCurrentEpoch()           -> epoch number
+// where amount is a list of { unit, quantity } and quantity is a string.
+// Failures throw a ChainProviderError with the HTTP-style status (404 not found, 429 rate limited, ...).
+//
+// Configured with CHAIN_PROVIDER (blockfrost | koios | fake) and CARDANO_NETWORK (mainnet | preprod | preview).
+// The fake provider reads FAKE_CHAIN_FILE (see fake-chain.example.json) so both bots can run offline.
+// Blockfrost and Koios calls go through a token bucket shared by both bots (see rate-limiter.js):
+// CHAIN_RATE_LIMIT requests per second (default 10, 0 to turn it off) with bursts of CHAIN_RATE_BURST (default 100).
+// A 429 pauses both bots for the Retry-After time and the call is retried.
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { isStakeAddress } from './cardano-address.js';
+import { createRateLimiter } from './rate-limiter.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const NETWORKS = ['mainnet', 'preprod', 'preview'];
+export const PROVIDERS = ['blockfrost', 'koios', 'fake'];
+
+const PAGE_SIZE = 100;
+const KOIOS_PAGE_SIZE = 1000;
+const KOIOS_TX_BATCH = 50;
+const MAX_RATE_LIMIT_RETRIES = 3;
+
+export class ChainProviderError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'ChainProviderError';
+    this.status = status;
+  }
+}
+
+// Turn an axios error into a ChainProviderError
+function toProviderError(err) {
+  if (err instanceof ChainProviderError) return err;
+  const status = err.response?.status;
+  const message = err.response?.data?.message || err.message;
+  return new ChainProviderError(message, status);
+}
+
+// How long a 429 response asks us to wait
+function getRetryAfter(err, attempt) {
+  const seconds = Number(err.response?.headers?.['retry-after']);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 1000 * attempt;
+}
+
+// Run an API call, taking a token from the limiter first and retrying after rate limiting
+async function request(fn, limiter) {
+  for (let attempt = 1; ; attempt++) {
+    if (limiter) await limiter.acquire();
+    try {
+      return await fn();
+    } catch (err) {
+      const error = toProviderError(err);
+      if (error.status !== 429 || !limiter || attempt > MAX_RATE_LIMIT_RETRIES) throw error;
+      await limiter.penalize(getRetryAfter(err, attempt));
+    }
+  }
+}
+
+export function createBlockfrostProvider({ network, apiKey, limiter }) {
+  const baseUrl = `https://cardano-${network}.blockfrost.io/api/v0`;
+  const get = url => request(async () => (await axios.get(`${baseUrl}${url}`, { headers: { project_id: apiKey } })).data, limiter);
+
+  return {
+    name: 'blockfrost',
+    network,
+    getTxUtxos: txHash => get(`/txs/${txHash}/utxos`),
+    getTx: txHash => get(`/txs/${txHash}`),
+    async getAddressAssets(address) {
+      const data = await get(`/addresses/${encodeURIComponent(address)}`);
+      return data.amount;
+    },
+    async getStakeAssets(stakeAddress) {
+      const amounts = [];
+      for (let page = 1; ; page++) {
+        const data = await get(`/accounts/${encodeURIComponent(stakeAddress)}/addresses/assets?page=${page}&count=${PAGE_SIZE}`);
+        amounts.push(...data);
+        if (data.length < PAGE_SIZE) break;
+      }
+      return amounts;
+    },
+    async getAssetMetadata(unit) {
+      const data = await get(`/assets/${unit}`);
+      return data.onchain_metadata || null;
+    },
+    async getWalletState(key) {
+      const url = isStakeAddress(key) ? `/accounts/${encodeURIComponent(key)}/addresses/total` : `/addresses/${encodeURIComponent(key)}/total`;
+      const data = await get(url);
+      return `txs:${data.tx_count}`;
+    },
+    async getLatestBlock() {
+      const { height, hash } = await get('/blocks/latest');
+      return { height, hash };
+    },
+    async getBlockAddresses(height) {
+      const addresses = [];
+      for (let page = 1; ; page++) {
+        const data = await get(`/blocks/${height}/addresses?page=${page}&count=${PAGE_SIZE}`);
+        addresses.push(...data.map(a => ({ address: a.address, txHashes: a.transactions.map(tx => tx.tx_hash) })));
+        if (data.length < PAGE_SIZE) break;
+      }
+      return addresses;
+    },
+    async getAccount(stakeAddress) {
+      const account = await get(`/accounts/${encodeURIComponent(stakeAddress)}`);
+      const poolId = account.active ? account.pool_id : null;
+      let delegatedSinceEpoch = null;
+      if (poolId) {
+        const [latest] = await get(`/accounts/${encodeURIComponent(stakeAddress)}/delegations?order=desc&count=1`);
+        delegatedSinceEpoch = latest?.active_epoch ?? null;
+      }
+      return { poolId, lovelace: account.controlled_amount, delegatedSinceEpoch };
+    },
+    async getCurrentEpoch() {
+      const { epoch } = await get('/epochs/latest');
+      return epoch;
+    }
+  };
+}
+
+export function createKoiosProvider({ network, apiKey, limiter }) {
+  const baseUrl = network === 'mainnet' ? 'https://api.koios.rest/api/v1' : `https://${network}.koios.rest/api/v1`;
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+  const get = url => request(async () => (await axios.get(`${baseUrl}${url}`, { headers })).data, limiter);
+  const post = (url, body) => request(async () => (await axios.post(`${baseUrl}${url}`, body, { headers })).data, limiter);
+
+  // Koios lists native assets separately from the lovelace value
+  const toAmount = (lovelace, assets = []) => [
+    { unit: 'lovelace', quantity: String(lovelace) },
+    ...assets.map(a => ({ unit: `${a.policy_id}${a.asset_name || ''}`, quantity: String(a.quantity) }))
+  ];
+  const toUtxo = io => ({ address: io.payment_addr?.bech32, amount: toAmount(io.value, io.asset_list) });
+
+  async function getTxInfo(txHash) {
+    const data = await post('/tx_info', { _tx_hashes: [txHash], _inputs: true, _assets: true });
+    if (!data[0]) throw new ChainProviderError('The requested component has not been found.', 404);
+    return data[0];
+  }
+
+  // Koios (PostgREST) pages with offset/limit
+  async function postAllPages(url, body) {
+    const rows = [];
+    for (let offset = 0; ; offset += KOIOS_PAGE_SIZE) {
+      const data = await post(`${url}?offset=${offset}&limit=${KOIOS_PAGE_SIZE}`, body);
+      rows.push(...data);
+      if (data.length < KOIOS_PAGE_SIZE) break;
+    }
+    return rows;
+  }
+
+  return {
+    name: 'koios',
+    network,
+    async getTxUtxos(txHash) {
+      const tx = await getTxInfo(txHash);
+      return { hash: tx.tx_hash, inputs: tx.inputs.map(toUtxo), outputs: tx.outputs.map(toUtxo) };
+    },
+    async getTx(txHash) {
+      const tx = await getTxInfo(txHash);
+      return { hash: tx.tx_hash, block_time: tx.tx_timestamp ?? tx.block_time };
+    },
+    async getAddressAssets(address) {
+      const [info] = await post('/address_info', { _addresses: [address] });
+      if (!info) throw new ChainProviderError('The requested component has not been found.', 404);
+      const assets = await postAllPages('/address_assets', { _addresses: [address] });
+      return toAmount(info.balance, assets);
+    },
+    async getStakeAssets(stakeAddress) {
+      const assets = await postAllPages('/account_assets', { _stake_addresses: [stakeAddress] });
+      return assets.map(a => ({ unit: `${a.policy_id}${a.asset_name || ''}`, quantity: String(a.quantity) }));
+    },
+    async getAssetMetadata(unit) {
+      const policyId = unit.slice(0, 56);
+      const assetName = unit.slice(56);
+      const [info] = await post('/asset_info', { _asset_list: [[policyId, assetName]] });
+      if (!info) throw new ChainProviderError('The requested component has not been found.', 404);
+      // CIP-25 metadata is keyed by the UTF-8 or hex asset name
+      const policyMetadata = info.minting_tx_metadata?.['721']?.[policyId];
+      if (!policyMetadata) return null;
+      return policyMetadata[Buffer.from(assetName, 'hex').toString('utf8')] || policyMetadata[assetName] || null;
+    },
+    // Koios has no transaction counts, so the latest transaction stands for the state
+    async getWalletState(key) {
+      const latest = 'order=block_height.desc&limit=1';
+      const [tx] = isStakeAddress(key)
+        ? await get(`/account_txs?_stake_address=${encodeURIComponent(key)}&${latest}`)
+        : await post(`/address_txs?${latest}`, { _addresses: [key] });
+      return tx ? `tx:${tx.tx_hash}` : 'tx:none';
+    },
+    async getLatestBlock() {
+      const [tip] = await get('/tip');
+      return { height: tip.block_no, hash: tip.hash };
+    },
+    async getBlockAddresses(height) {
+      const [block] = await get(`/blocks?block_height=eq.${height}`);
+      if (!block) throw new ChainProviderError(`Block ${height} not found`, 404);
+      const txHashes = (await post('/block_txs', { _block_hashes: [block.hash] })).map(tx => tx.tx_hash);
+
+      const byAddress = new Map();
+      for (let i = 0; i < txHashes.length; i += KOIOS_TX_BATCH) {
+        const txs = await post('/tx_info', { _tx_hashes: txHashes.slice(i, i + KOIOS_TX_BATCH), _inputs: true });
+        for (const tx of txs) {
+          for (const io of [...tx.inputs, ...tx.outputs]) {
+            const address = io.payment_addr?.bech32;
+            if (!address) continue;
+            if (!byAddress.has(address)) byAddress.set(address, new Set());
+            byAddress.get(address).add(tx.tx_hash);
+          }
+        }
+      }
+      return [...byAddress].map(([address, hashes]) => ({ address, txHashes: [...hashes] }));
+    },
+    async getAccount(stakeAddress) {
+      const [info] = await post('/account_info', { _stake_addresses: [stakeAddress] });
+      if (!info) throw new ChainProviderError('The requested component has not been found.', 404);
+      const poolId = info.status === 'registered' ? info.delegated_pool || null : null;
+      let delegatedSinceEpoch = null;
+      if (poolId) {
+        // Koios keeps the active stake per epoch: go back while it stayed with the same pool
+        const [account] = await post('/account_history', { _stake_addresses: [stakeAddress] });
+        const history = [...(account?.history || [])].sort((a, b) => b.epoch_no - a.epoch_no);
+        for (const snapshot of history) {
+          if (snapshot.pool_id !== poolId) break;
+          delegatedSinceEpoch = snapshot.epoch_no;
+        }
+      }
+      return { poolId, lovelace: String(info.total_balance), delegatedSinceEpoch };
+    },
+    async getCurrentEpoch() {
+      const [tip] = await get('/tip');
+      return tip.epoch_no;
+    }
+  };
+}
+
+// File-backed provider for offline runs. The file looks like:
+//   { "txs": { "<hash>": { "block_time": 0, "inputs": [...], "outputs": [...] } },
+//     "addresses": { "addr...": [{ "unit": "lovelace", "quantity": "1" }] },
+//     "accounts": { "stake...": [{ "unit": "<policy+name>", "quantity": "1" }] },
+//     "assets": { "<unit>": { ...onchain_metadata } },
+//     "blocks": [{ "height": 1, "hash": "...", "addresses": [{ "address": "addr...", "txHashes": ["<hash>"] }] }],
+//     "stake": { "stake...": { "pool_id": "pool1...", "controlled_amount": "1000000", "active_epoch": 500 } },
+//     "epoch": 510 }
+// Anything missing is a 404. The file is read on every call so it can be edited while the bots run.
+export function createFakeProvider({ network, file }) {
+  async function load() {
+    return JSON.parse(await fs.readFile(file, 'utf-8'));
+  }
+  async function lookup(section, key) {
+    const data = await load();
+    const value = data[section]?.[key];
+    if (value === undefined) throw new ChainProviderError(`${key} not found in ${path.basename(file)}`, 404);
+    return value;
+  }
+
+  return {
+    name: 'fake',
+    network,
+    async getTxUtxos(txHash) {
+      const { inputs, outputs } = await lookup('txs', txHash);
+      return { hash: txHash, inputs, outputs };
+    },
+    async getTx(txHash) {
+      const { block_time } = await lookup('txs', txHash);
+      return { hash: txHash, block_time };
+    },
+    getAddressAssets: address => lookup('addresses', address),
+    getStakeAssets: stakeAddress => lookup('accounts', stakeAddress),
+    async getAssetMetadata(unit) {
+      const data = await load();
+      return data.assets?.[unit] ?? null;
+    },
+    // The holdings themselves: editing them in the file changes the state
+    async getWalletState(key) {
+      const amounts = await lookup(isStakeAddress(key) ? 'accounts' : 'addresses', key);
+      return `hash:${crypto.createHash('sha1').update(JSON.stringify(amounts)).digest('hex')}`;
+    },
+    async getLatestBlock() {
+      const blocks = (await load()).blocks || [];
+      if (blocks.length === 0) throw new ChainProviderError(`No blocks in ${path.basename(file)}`, 404);
+      const { height, hash } = blocks.reduce((a, b) => (b.height > a.height ? b : a));
+      return { height, hash };
+    },
+    async getBlockAddresses(height) {
+      // Heights without an entry are blocks that touched no interesting addresses
+      const block = ((await load()).blocks || []).find(b => b.height === height);
+      return block?.addresses || [];
+    },
+    async getAccount(stakeAddress) {
+      const account = await lookup('stake', stakeAddress);
+      return {
+        poolId: account.pool_id || null,
+        lovelace: String(account.controlled_amount ?? 0),
+        delegatedSinceEpoch: account.active_epoch ?? null
+      };
+    },
+    async getCurrentEpoch() {
+      const { epoch } = await load();
+      if (epoch === undefined) throw new ChainProviderError(`No epoch in ${path.basename(file)}`, 404);
+      return epoch;
+    }
+  };
+}
+
+// Create the provider configured by the environment
+export function createChainProvider(env = process.env) {
+  const provider = (env.CHAIN_PROVIDER || 'blockfrost').toLowerCase();
+  const network = (env.CARDANO_NETWORK || 'mainnet').toLowerCase();
+  if (!PROVIDERS.includes(provider)) throw new Error(`Unknown CHAIN_PROVIDER "${provider}" (use ${PROVIDERS.join(', ')})`);
+  if (!NETWORKS.includes(network)) throw new Error(`Unknown CARDANO_NETWORK "${network}" (use ${NETWORKS.join(', ')})`);
+
+  const ratePerSecond = env.CHAIN_RATE_LIMIT === undefined ? 10 : Number(env.CHAIN_RATE_LIMIT);
+  const burst = env.CHAIN_RATE_BURST === undefined ? 100 : Number(env.CHAIN_RATE_BURST);
+  if (!(ratePerSecond >= 0) || !(burst >= 1)) throw new Error('CHAIN_RATE_LIMIT must be 0 or more and CHAIN_RATE_BURST at least 1');
+  const limiter = ratePerSecond > 0 && provider !== 'fake' ? createRateLimiter({ name: provider, ratePerSecond, burst }) : null;
+
+  if (provider === 'blockfrost') {
+    if (!env.BLOCKFROST_API_KEY) throw new Error('BLOCKFROST_API_KEY is required for the blockfrost provider');
+    return createBlockfrostProvider({ network, apiKey: env.BLOCKFROST_API_KEY, limiter });
+  }
+  if (provider === 'koios') {
+    return createKoiosProvider({ network, apiKey: env.KOIOS_API_KEY, limiter });
+  }
+  const file = path.resolve(__dirname, env.FAKE_CHAIN_FILE || 'fake-chain.json');
+  return createFakeProvider({ network, file });
+}
@@ -0,0 +1,88 @@
+// Guild access for the role sync: through role-bot.js's discord.js client, or plain REST calls for sync-cli.js
+//
+// Both have the same interface:
+//   listRoles()                  -> [{ id, name }]
+//   listMembers()                -> [{ id, name, roleNames }]
+//   getMember(discordId)         -> { id, name, roleNames } or null when not in the guild
+//   addRole(discordId, roleId)
+//   removeRole(discordId, roleId)
+import { REST, Routes } from 'discord.js';
+
+const MEMBERS_PAGE_SIZE = 1000;
+
+export function createClientGuildAccess(guild) {
+  const toMember = member => ({
+    id: member.id,
+    name: member.user.username,
+    roleNames: member.roles.cache.map(r => r.name)
+  });
+  const fetchMember = discordId => guild.members.fetch(discordId).catch(() => null);
+
+  return {
+    guildId: guild.id,
+    async listRoles() {
+      return (await guild.roles.fetch()).map(r => ({ id: r.id, name: r.name }));
+    },
+    async listMembers() {
+      return (await guild.members.fetch()).map(toMember);
+    },
+    async getMember(discordId) {
+      const member = await fetchMember(discordId);
+      return member ? toMember(member) : null;
+    },
+    async addRole(discordId, roleId) {
+      await (await fetchMember(discordId))?.roles.add(roleId);
+    },
+    async removeRole(discordId, roleId) {
+      await (await fetchMember(discordId))?.roles.remove(roleId);
+    }
+  };
+}
+
+export function createRestGuildAccess({ token, guildId }) {
+  const rest = new REST({ version: '10' }).setToken(token);
+  let roleNames = null;
+
+  // Members list role IDs; map them to names
+  async function getRoleNames() {
+    roleNames ??= new Map((await rest.get(Routes.guildRoles(guildId))).map(r => [r.id, r.name]));
+    return roleNames;
+  }
+  async function toMember(member) {
+    const names = await getRoleNames();
+    return { id: member.user.id, name: member.user.username, roleNames: member.roles.map(id => names.get(id)).filter(Boolean) };
+  }
+
+  return {
+    guildId,
+    async listRoles() {
+      return (await rest.get(Routes.guildRoles(guildId))).map(r => ({ id: r.id, name: r.name }));
+    },
+    async listMembers() {
+      const members = [];
+      for (let after = '0'; ;) {
+        const page = await rest.get(Routes.guildMembers(guildId), {
+          query: new URLSearchParams({ limit: String(MEMBERS_PAGE_SIZE), after })
+        });
+        for (const member of page) members.push(await toMember(member));
+        if (page.length < MEMBERS_PAGE_SIZE) break;
+        after = page[page.length - 1].user.id;
+      }
+      return members;
+    },
+    async getMember(discordId) {
+      try {
+        return await toMember(await rest.get(Routes.guildMember(guildId, discordId)));
+      } catch (err) {
+        if (err.status === 404) return null;
+        throw err;
+      }
+    },
+    async addRole(discordId, roleId) {
+      await rest.put(Routes.guildMemberRole(guildId, discordId, roleId));
+    },
+    async removeRole(discordId, roleId) {
+      await rest.delete(Routes.guildMemberRole(guildId, discordId, roleId));
+    }
+  };
+}
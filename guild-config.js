@@ -0,0 +1,79 @@
+// Per-guild configuration, so one deployment of role-bot.js can serve several servers
+//
+// Verifications (verified.json) are shared by every guild. Each guild has its own rules, role sync schedule and
+// audit channel, set by its admins with /setup and kept in guilds.json:
+//   { "<guildId>": { "rules": { ... }, "syncIntervalHours": 24, "auditChannelId": "...",
+//                    "updatedAt": "<ISO date>", "updatedBy": "<discordId>" } }
+// The GUILD_ID guild from .env works without setup: it defaults to RULES_FILE and AUDIT_CHANNEL_ID, and keeps the
+// data file names of a single-guild deployment (roles.json, overrides.json, pending-removals.json, plans/ and
+// snapshots/). Other guilds get their own files with the guild ID added, e.g. roles-<guildId>.json.
+import path from 'path';
+import { loadRules, parseRules } from './role-rules.js';
+import { openStore } from './storage.js';
+
+export const DEFAULT_SYNC_INTERVAL_HOURS = 24;
+
+const guildsStore = openStore('guilds');
+
+export function getPrimaryGuildId(env = process.env) {
+  return env.GUILD_ID || null;
+}
+
+// Name of a guild's store or data folder: the primary guild keeps the single-guild name
+export function getGuildDataName(base, guildId) {
+  return !guildId || guildId === getPrimaryGuildId() ? base : `${base}-${guildId}`;
+}
+
+// A guild's config with defaults filled in, or null for a guild that was never set up
+function withDefaults(guildId, stored) {
+  const isPrimary = guildId === getPrimaryGuildId();
+  if (!stored && !isPrimary) return null;
+  const config = {
+    guildId,
+    rules: stored?.rules || null,
+    rulesFile: null,
+    syncIntervalHours: stored?.syncIntervalHours ?? DEFAULT_SYNC_INTERVAL_HOURS,
+    auditChannelId: stored?.auditChannelId ?? null,
+    updatedAt: stored?.updatedAt || null,
+    updatedBy: stored?.updatedBy || null
+  };
+  if (isPrimary) {
+    if (!config.rules) config.rulesFile = process.env.RULES_FILE || 'rules.json';
+    if (stored?.auditChannelId === undefined) config.auditChannelId = process.env.AUDIT_CHANNEL_ID || null;
+  }
+  return config;
+}
+
+export async function getGuildConfig(guildId) {
+  const guilds = await guildsStore.read();
+  return withDefaults(guildId, guilds[guildId]);
+}
+
+// Configs of every guild that was set up, and of the primary guild
+export async function listGuildConfigs() {
+  const guilds = await guildsStore.read();
+  const ids = new Set(Object.keys(guilds));
+  if (getPrimaryGuildId()) ids.add(getPrimaryGuildId());
+  return [...ids].map(guildId => withDefaults(guildId, guilds[guildId]));
+}
+
+// Whether a guild has rules, so the role sync can run there
+export function hasRules(config) {
+  return Boolean(config?.rules || config?.rulesFile);
+}
+
+// Change settings of a guild (rules, syncIntervalHours, auditChannelId); returns the new config
+export async function updateGuildConfig(guildId, changes, updatedBy) {
+  const stored = await guildsStore.update(guilds => {
+    guilds[guildId] = { ...guilds[guildId], ...changes, updatedAt: new Date().toISOString(), updatedBy };
+    return guilds[guildId];
+  });
+  return withDefaults(guildId, stored);
+}
+
+// The validated rules of a guild; rules files are resolved from baseDir
+export async function loadGuildRules(config, baseDir) {
+  if (config.rules) return parseRules(config.rules, `the rules of guild ${config.guildId}`);
+  if (config.rulesFile) return loadRules(path.resolve(baseDir, config.rulesFile));
+  throw new Error(`Guild ${config.guildId} has no rules yet, set them with /setup rules`);
+}
@@ -0,0 +1,149 @@
+// /holdings and /leaderboard slash commands for role-bot.js, built from the holdings saved in roles.json
+//
+// Collections are the policy labels and combined counts of the rules (e.g. otwo, mx, mfers).
+// The leaderboard ranks by the first combined count unless a collection is picked; members can opt out,
+// which is saved in leaderboard-prefs.json: { "optedOut": ["<discordId>"] }
+import { SlashCommandBuilder } from 'discord.js';
+import { getEntryAmount, getEntryCount, getTierProgress } from './role-rules.js';
+import { openStore } from './storage.js';
+
+const LEADERBOARD_SIZE = 10;
+const MAX_CHOICES = 25; // Discord's limit for option choices
+
+const prefsStore = openStore('leaderboard-prefs', { defaultValue: () => ({ optedOut: [] }) });
+
+// Every collection of the rules: combined counts first, then single policies
+export function getCollections(rules) {
+  return [...Object.keys(rules.counts), ...Object.keys(rules.policies)];
+}
+
+// Collection ranked by default: the first combined count, or the first policy
+function getDefaultCollection(rules) {
+  return getCollections(rules)[0];
+}
+
+function describeCollection(rules, label) {
+  return rules.counts[label] ? `${label} (${rules.counts[label].join(' + ')})` : label;
+}
+
+export function buildHolderCommands(rules) {
+  const choices = getCollections(rules).slice(0, MAX_CHOICES).map(label => ({ name: label, value: label }));
+  const holdings = new SlashCommandBuilder()
+    .setName('holdings')
+    .setDescription('Show your holdings per collection and how far you are from the next tier');
+  const leaderboard = new SlashCommandBuilder()
+    .setName('leaderboard')
+    .setDescription('Holder leaderboard')
+    .addSubcommand(sub => sub
+      .setName('show')
+      .setDescription('Show the top holders')
+      .addStringOption(opt => opt.setName('collection').setDescription('Collection to rank by').addChoices(...choices)))
+    .addSubcommand(sub => sub.setName('optout').setDescription('Hide yourself from the leaderboard'))
+    .addSubcommand(sub => sub.setName('optin').setDescription('Show yourself on the leaderboard again'));
+  return [holdings, leaderboard];
+}
+
+async function showHoldings(interaction, ctx) {
+  const rolesData = await ctx.loadRolesData();
+  const entry = rolesData[interaction.user.id];
+  if (!entry) {
+    await interaction.reply({
+      content: 'No holdings recorded yet. Verify a wallet with `/verify`, then run `/getrole`.',
+      ephemeral: true
+    });
+    return;
+  }
+
+  const { rules } = ctx;
+  const synced = entry.syncedAt ? ` (as of <t:${Math.floor(Date.parse(entry.syncedAt) / 1000)}:R>)` : '';
+  const lines = [`📊 **Your holdings**${synced}`];
+  for (const label of Object.keys(rules.policies)) {
+    // Fungible tokens and editions hold more than one of an asset
+    const { quantity } = entry.assets?.[label] || {};
+    const count = getEntryCount(rules, entry, label);
+    lines.push(`• ${label}: ${count}${quantity && quantity !== String(count) ? ` (quantity ${quantity})` : ''}`);
+  }
+  for (const label of Object.keys(rules.counts)) {
+    lines.push(`• **${describeCollection(rules, label)}: ${getEntryCount(rules, entry, label)}**`);
+  }
+  if (entry.staking) {
+    const pools = entry.staking.delegations.map(d => `\`${d.poolId}\` (${d.epochs} epochs)`);
+    lines.push(`• ₳ ${entry.staking.ada.toLocaleString('en-US')} ADA${pools.length > 0 ? `, delegated to ${pools.join(', ')}` : ''}`);
+  }
+
+  for (const rule of rules.rules.filter(r => r.type === 'tiers')) {
+    const label = rule.count || rule.policy;
+    const { current, next } = getTierProgress(getEntryAmount(rules, entry, label, rule.by), rule.tiers);
+    const tier = current ? `🏅 Tier: **${current}**.` : '🏅 No tier yet.';
+    // Quantities are summed as floating point here, so round away the noise
+    const needed = next?.needed.toLocaleString('en-US', { maximumFractionDigits: 6 });
+    const progress = next ? ` ${needed} more ${label} for **${next.role}** (${next.min}).` : ' Top tier reached!';
+    lines.push(`${tier}${progress}`);
+  }
+  lines.push(`Roles: ${entry.assignedRoles.join(', ') || 'none'}`);
+  lines.push('Run `/getrole` to refresh.');
+  await interaction.reply({ content: lines.join('\n'), ephemeral: true });
+}
+
+async function showLeaderboard(interaction, ctx) {
+  const { rules } = ctx;
+  const label = interaction.options.getString('collection') || getDefaultCollection(rules);
+  const rolesData = await ctx.loadRolesData();
+  const { optedOut } = await prefsStore.read();
+
+  const ranking = Object.entries(rolesData)
+    .filter(([discordId]) => !optedOut.includes(discordId))
+    .map(([discordId, entry]) => ({ discordId, count: getEntryCount(rules, entry, label) }))
+    .filter(holder => holder.count > 0)
+    .sort((a, b) => b.count - a.count);
+  if (ranking.length === 0) {
+    await interaction.reply({ content: `No ${label} holders to show yet.`, ephemeral: true });
+    return;
+  }
+
+  const medals = ['🥇', '🥈', '🥉'];
+  const lines = ranking.slice(0, LEADERBOARD_SIZE)
+    .map((holder, i) => `${medals[i] || `${i + 1}.`} <@${holder.discordId}>: ${holder.count}`);
+  const ownRank = ranking.findIndex(holder => holder.discordId === interaction.user.id);
+  if (ownRank >= LEADERBOARD_SIZE) lines.push(`…\nYou: #${ownRank + 1} with ${ranking[ownRank].count}`);
+
+  await interaction.reply({
+    content: `🏆 **Top ${describeCollection(rules, label)} holders**\n${lines.join('\n')}`,
+    allowedMentions: { parse: [] } // List members without pinging them
+  });
+}
+
+async function setOptOut(interaction, optOut) {
+  const discordId = interaction.user.id;
+  await prefsStore.update(prefs => {
+    const optedOut = new Set(prefs.optedOut);
+    if (optOut) optedOut.add(discordId);
+    else optedOut.delete(discordId);
+    prefs.optedOut = [...optedOut];
+  });
+  console.log(`🏆 User ${discordId} opted ${optOut ? 'out of' : 'in to'} the leaderboard`);
+  await interaction.reply({
+    content: optOut
+      ? '🙈 You are hidden from the leaderboard. Use `/leaderboard optin` to show up again.'
+      : '🏆 You are shown on the leaderboard again.',
+    ephemeral: true
+  });
+}
+
+// Handle /holdings and /leaderboard; ctx = { rules, loadRolesData() }
+export async function handleHolderCommand(interaction, ctx) {
+  try {
+    if (interaction.commandName === 'holdings') {
+      await showHoldings(interaction, ctx);
+      return;
+    }
+    const subcommand = interaction.options.getSubcommand();
+    if (subcommand === 'show') await showLeaderboard(interaction, ctx);
+    else await setOptOut(interaction, subcommand === 'optout');
+  } catch (err) {
+    console.error(`❌ Error processing /${interaction.commandName} command:`, err.message);
+    const reply = { content: 'An error occurred while processing the command.', ephemeral: true };
+    if (interaction.replied || interaction.deferred) await interaction.followUp(reply);
+    else await interaction.reply(reply);
+  }
+}
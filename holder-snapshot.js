@@ -0,0 +1,150 @@
+// Holder snapshots for airdrops and giveaways, used by /admin snapshot and snapshot-cli.js
+//
+// A snapshot lists the verified holders from roles.json (as of their last sync) with their wallets, roles and
+// per-policy counts, quantities and asset names. Filters:
+//   policy   - a policy or combined count label; holders need at least minCount of it
+//   minCount - minimum count (default 1), of the policy or of all policies together
+//   role     - holders must have this assigned role
+// Every snapshot is saved in the snapshots folder of its guild (see guild-config.js) as snapshot-<date>.json together
+// with its filters and the policy IDs, so a past snapshot can be exported again as CSV or JSON at any time:
+//   { "version": 1, "takenAt": "<ISO date>", "guildId": "...", "filters": { ... },
+//     "policies": { "<label>": "<policy ID>" },
+//     "holders": [{ "discordId", "wallets": [{ "address", "stakeAddress" }], "roles": [role], "syncedAt",
+//                   "holdings": { "<label>": { "count", "quantity", "names": [asset name] } } }] }
+// quantity is the summed token quantity in whole tokens, as a string (see formatQuantity in role-rules.js).
+import fs from 'fs/promises';
+import path from 'path';
+import { getDataDir } from './storage.js';
+import { getGuildDataName } from './guild-config.js';
+import { getEntryCount } from './role-rules.js';
+import { loadVerifiedData, normalizeWallets } from './verified-store.js';
+
+export const SNAPSHOT_VERSION = 1;
+export const SNAPSHOT_FORMATS = ['csv', 'json'];
+
+function getSnapshotsDir(guildId) {
+  return path.join(getDataDir(), getGuildDataName('snapshots', guildId));
+}
+
+// Check the filters against the rules; returns them with defaults filled in
+function normalizeFilters(rules, { policy = null, minCount = null, role = null } = {}) {
+  if (policy && !rules.policies[policy] && !rules.counts[policy]) {
+    const labels = [...Object.keys(rules.policies), ...Object.keys(rules.counts)];
+    throw new Error(`Unknown policy "${policy}", use one of: ${labels.join(', ')}`);
+  }
+  if (minCount !== null && !(Number.isInteger(minCount) && minCount >= 0)) {
+    throw new Error('The minimum count must be a whole number of 0 or more');
+  }
+  return { policy, minCount: minCount ?? 1, role };
+}
+
+// Take a snapshot of a guild's verified holders matching the filters; rolesData is the guild's roles.json
+export async function takeSnapshot(guildId, rules, rolesData, filters) {
+  const { policy, minCount, role } = normalizeFilters(rules, filters);
+  const verified = await loadVerifiedData();
+  const labels = Object.keys(rules.policies);
+
+  const holders = [];
+  for (const [discordId, entry] of Object.entries(rolesData)) {
+    const wallets = normalizeWallets(verified[discordId]);
+    if (wallets.length === 0) continue;
+    const count = policy
+      ? getEntryCount(rules, entry, policy)
+      : labels.reduce((sum, label) => sum + getEntryCount(rules, entry, label), 0);
+    if (count < minCount) continue;
+    if (role && !entry.assignedRoles.includes(role)) continue;
+
+    holders.push({
+      discordId,
+      wallets: wallets.map(w => ({ address: w.address, stakeAddress: w.stakeAddress || null })),
+      roles: entry.assignedRoles,
+      syncedAt: entry.syncedAt || null,
+      holdings: Object.fromEntries(labels.map(label => [
+        label,
+        {
+          count: entry.assets?.[label]?.count || 0,
+          quantity: entry.assets?.[label]?.quantity ?? String(entry.assets?.[label]?.count || 0),
+          names: entry.assets?.[label]?.names || []
+        }
+      ]))
+    });
+  }
+
+  return {
+    version: SNAPSHOT_VERSION,
+    takenAt: new Date().toISOString(),
+    guildId,
+    filters: { policy, minCount, role },
+    policies: rules.policies,
+    holders
+  };
+}
+
+// Quote a CSV field when needed
+function csvField(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per holder; lists (wallets, roles, asset names) are separated by semicolons
+export function formatSnapshot(snapshot, format) {
+  if (format === 'json') return JSON.stringify(snapshot, null, 2);
+  if (format !== 'csv') throw new Error(`Unknown snapshot format "${format}", use csv or json`);
+
+  const labels = Object.keys(snapshot.policies);
+  const header = ['discord_id', 'stake_addresses', 'addresses', 'roles', 'synced_at',
+    ...labels.flatMap(label => [`${label}_count`, `${label}_quantity`, `${label}_assets`])];
+  const rows = snapshot.holders.map(holder => {
+    const stakeAddresses = [...new Set(holder.wallets.map(w => w.stakeAddress).filter(Boolean))];
+    return [
+      holder.discordId,
+      stakeAddresses.join(';'),
+      holder.wallets.map(w => w.address).join(';'),
+      holder.roles.join(';'),
+      holder.syncedAt,
+      ...labels.flatMap(label => {
+        const holding = holder.holdings[label];
+        return [holding?.count || 0, holding?.quantity ?? holding?.count ?? 0, (holding?.names || []).join(';')];
+      })
+    ];
+  });
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+// Save a snapshot in the snapshots folder of its guild; returns its name
+export async function saveSnapshot(snapshot) {
+  const name = `snapshot-${snapshot.takenAt.replace(/[:.]/g, '-')}.json`;
+  const dir = getSnapshotsDir(snapshot.guildId);
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, name), JSON.stringify(snapshot, null, 2), { flag: 'wx' });
+  return name;
+}
+
+// Load a saved snapshot by name (from the guild's snapshots folder) or path
+export async function loadSnapshot(nameOrPath, guildId) {
+  const filePath = nameOrPath.includes('/') || nameOrPath.includes(path.sep)
+    ? path.resolve(nameOrPath)
+    : path.join(getSnapshotsDir(guildId), path.basename(nameOrPath));
+  const snapshot = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  if (snapshot.version !== SNAPSHOT_VERSION || !Array.isArray(snapshot.holders)) {
+    throw new Error(`${path.basename(filePath)} is not a holder snapshot`);
+  }
+  return snapshot;
+}
+
+// Names of the saved snapshots of a guild, newest first
+export async function listSnapshots(guildId) {
+  try {
+    return (await fs.readdir(getSnapshotsDir(guildId))).filter(name => name.endsWith('.json')).sort().reverse();
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+}
+
+// One-line description of a snapshot's filters
+export function describeSnapshotFilters({ policy, minCount, role }) {
+  const parts = [`at least ${minCount} ${policy || 'assets'}`];
+  if (role) parts.push(`role ${role}`);
+  return parts.join(', ');
+}
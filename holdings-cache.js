@@ -0,0 +1,97 @@
+// Cache of wallet holdings for the role sync, keyed by stake key or address
+//
+// holdings-cache.json: { "<key>": { "amounts": [{ unit, quantity }], "state": "...", "fetchedAt": <ms> } }
+// An entry younger than HOLDINGS_CACHE_TTL_MINUTES (default 60) is used as is. Older entries are refreshed
+// incrementally: the provider's cheap wallet state (transaction count or latest transaction) is checked, and the
+// holdings are only fetched again when it changed.
+import { isStakeAddress } from './cardano-address.js';
+import { openStore } from './storage.js';
+
+const DEFAULT_TTL_MINUTES = 60;
+
+const cacheStore = openStore('holdings-cache');
+
+export function getHoldingsCacheTtl(env = process.env) {
+  const minutes = env.HOLDINGS_CACHE_TTL_MINUTES === undefined ? DEFAULT_TTL_MINUTES : Number(env.HOLDINGS_CACHE_TTL_MINUTES);
+  if (!Number.isFinite(minutes) || minutes < 0) {
+    console.warn(`⚠️ Invalid HOLDINGS_CACHE_TTL_MINUTES "${env.HOLDINGS_CACHE_TTL_MINUTES}", using ${DEFAULT_TTL_MINUTES}`);
+    return DEFAULT_TTL_MINUTES * 60 * 1000;
+  }
+  return minutes * 60 * 1000;
+}
+
+// Holdings cache for a chain provider. Entries are kept in memory and written back by flush()
+export function createHoldingsCache(chain, ttlMs = getHoldingsCacheTtl()) {
+  let entries = null;
+  const changed = new Set();
+
+  async function load() {
+    if (!entries) {
+      entries = await cacheStore.read().catch(err => {
+        console.error('❌ Error loading holdings-cache.json:', err.message);
+        return {};
+      });
+    }
+    return entries;
+  }
+
+  // Fetch the holdings and remember the state they were fetched at; a key never seen on chain holds nothing
+  async function fetchHoldings(key) {
+    let state;
+    let amounts;
+    try {
+      // Read the state first: a transaction landing in between then only causes an extra fetch next time
+      state = await chain.getWalletState(key);
+      amounts = isStakeAddress(key) ? await chain.getStakeAssets(key) : await chain.getAddressAssets(key);
+    } catch (err) {
+      if (err.status !== 404) throw err;
+      state = 'none';
+      amounts = [];
+    }
+    return { amounts, state, fetchedAt: Date.now() };
+  }
+
+  return {
+    // The holdings of a key as { unit, quantity } amounts; maxAge overrides the TTL (0 always checks the state)
+    async get(key, { maxAge = ttlMs } = {}) {
+      const cache = await load();
+      const entry = cache[key];
+      const now = Date.now();
+      if (entry && now - entry.fetchedAt < maxAge) {
+        console.log(`📦 Using cached holdings for ${key}`);
+        return entry.amounts;
+      }
+
+      if (entry) {
+        const state = await chain.getWalletState(key).catch(err => {
+          if (err.status === 404) return 'none';
+          throw err;
+        });
+        if (state === entry.state) {
+          console.log(`📦 Holdings of ${key} unchanged since ${new Date(entry.fetchedAt).toISOString()}`);
+          cache[key] = { ...entry, fetchedAt: now };
+          changed.add(key);
+          return entry.amounts;
+        }
+      }
+
+      cache[key] = await fetchHoldings(key);
+      changed.add(key);
+      return cache[key].amounts;
+    },
+
+    // Write changed entries back, keeping entries the other process saved in the meantime
+    async flush() {
+      if (changed.size === 0) return;
+      const keys = [...changed];
+      changed.clear();
+      try {
+        await cacheStore.update(data => {
+          for (const key of keys) data[key] = entries[key];
+        });
+      } catch (err) {
+        console.error('❌ Error saving holdings-cache.json:', err.message);
+      }
+    }
+  };
+}
@@ -0,0 +1,144 @@
+// Near-real-time role updates: watch new blocks for transfers of the configured policies
+//
+// Every WATCH_INTERVAL_SECONDS (default 60, 0 turns the watcher off) the watcher reads the blocks added since its
+// checkpoint, up to WATCH_CONFIRMATIONS (default 2) blocks behind the tip so short rollbacks don't matter.
+// The addresses touched by each block are mapped to verified members through their address or stake key.
+// Only the transactions of those members are fetched, and a member is re-synced when one of them moves an asset
+// of a watched policy. The last processed block is kept in watcher-checkpoint.json, so restarts skip nothing.
+// A block whose member syncs fail is retried for those members on the next polls, up to MAX_BLOCK_ATTEMPTS times;
+// after that the watcher moves on and leaves them to the scheduled full sync, so one failing member can't stall it.
+import { getStakeAddress } from './cardano-address.js';
+import { openStore } from './storage.js';
+import { getHoldingsKey, loadVerifiedData, normalizeWallets } from './verified-store.js';
+
+const DEFAULT_INTERVAL_SECONDS = 60;
+const DEFAULT_CONFIRMATIONS = 2;
+const MAX_BLOCKS_PER_POLL = 100;
+const MAX_BLOCK_ATTEMPTS = 5;
+
+const checkpointStore = openStore('watcher-checkpoint', { defaultValue: () => ({ height: null }) });
+
+export function getWatcherConfig(env = process.env) {
+  const intervalSeconds = env.WATCH_INTERVAL_SECONDS === undefined ? DEFAULT_INTERVAL_SECONDS : Number(env.WATCH_INTERVAL_SECONDS);
+  const confirmations = env.WATCH_CONFIRMATIONS === undefined ? DEFAULT_CONFIRMATIONS : Number(env.WATCH_CONFIRMATIONS);
+  if (!(intervalSeconds >= 0) || !Number.isInteger(confirmations) || confirmations < 0) {
+    throw new Error('WATCH_INTERVAL_SECONDS must be 0 or more and WATCH_CONFIRMATIONS a whole number');
+  }
+  return { intervalMs: intervalSeconds * 1000, confirmations };
+}
+
+// Map every address and proven stake key of verified wallets to the members that verified it
+function buildWalletIndex(verified) {
+  const index = new Map();
+  const add = (key, discordId) => {
+    if (!index.has(key)) index.set(key, new Set());
+    index.get(key).add(discordId);
+  };
+  for (const [discordId, entry] of Object.entries(verified)) {
+    for (const wallet of normalizeWallets(entry)) {
+      add(wallet.address, discordId);
+      add(getHoldingsKey(wallet), discordId);
+    }
+  }
+  return index;
+}
+
+// Members a touched address belongs to, through the address itself or its stake key
+function findMembers(index, address) {
+  const members = new Set(index.get(address) || []);
+  if (address.startsWith('addr')) {
+    const stakeAddress = getStakeAddress(address);
+    for (const discordId of (stakeAddress && index.get(stakeAddress)) || []) members.add(discordId);
+  }
+  return members;
+}
+
+// Create a watcher; getPolicyIds() returns the policies to watch, onMembersChanged(discordIds) re-syncs the members
+// whose watched assets moved and resolves to those whose sync failed; maxAttempts is how often a block is tried
+export function createPolicyWatcher({
+  chain, getPolicyIds, onMembersChanged, confirmations = DEFAULT_CONFIRMATIONS, maxAttempts = MAX_BLOCK_ATTEMPTS
+}) {
+  let running = false;
+  // The block being retried: { height, members, attempts }, members being those whose sync failed
+  let retry = null;
+
+  // Whether a transaction moves an asset of a watched policy
+  async function movesWatchedAsset(txHash, policyIds) {
+    const { inputs, outputs } = await chain.getTxUtxos(txHash);
+    return [...inputs, ...outputs].some(utxo =>
+      utxo.amount.some(asset => policyIds.some(policyId => asset.unit.startsWith(policyId))));
+  }
+
+  // Members whose watched assets moved in a block
+  async function processBlock(height, index, policyIds) {
+    const affected = new Map(); // discordId -> tx hashes touching their wallets
+    for (const { address, txHashes } of await chain.getBlockAddresses(height)) {
+      for (const discordId of findMembers(index, address)) {
+        if (!affected.has(discordId)) affected.set(discordId, new Set());
+        txHashes.forEach(hash => affected.get(discordId).add(hash));
+      }
+    }
+
+    const changed = [];
+    const checked = new Map();
+    for (const [discordId, txHashes] of affected) {
+      for (const hash of txHashes) {
+        if (!checked.has(hash)) checked.set(hash, await movesWatchedAsset(hash, policyIds));
+        if (checked.get(hash)) {
+          changed.push(discordId);
+          break;
+        }
+      }
+    }
+    return changed;
+  }
+
+  // Process the blocks since the checkpoint; returns the members that were re-synced
+  async function poll() {
+    if (running) return [];
+    running = true;
+    try {
+      const tip = await chain.getLatestBlock();
+      const target = tip.height - confirmations;
+      const checkpoint = await checkpointStore.read();
+      // First run: start watching from here instead of replaying the whole chain
+      if (checkpoint.height === null) {
+        await checkpointStore.write({ height: target, updatedAt: new Date().toISOString() });
+        console.log(`👀 Policy watcher starting at block ${target}`);
+        return [];
+      }
+
+      const index = buildWalletIndex(await loadVerifiedData());
+      const policyIds = getPolicyIds();
+      const last = Math.min(target, checkpoint.height + MAX_BLOCKS_PER_POLL);
+      const changed = new Set();
+      for (let height = checkpoint.height + 1; height <= last; height++) {
+        const retrying = retry?.height === height;
+        const members = retrying ? retry.members : await processBlock(height, index, policyIds);
+        if (members.length > 0) {
+          console.log(`👀 Block ${height}: watched assets moved for ${members.join(', ')}`);
+          const failed = (await onMembersChanged(members)) || [];
+          members.forEach(id => changed.add(id));
+          const attempts = (retrying ? retry.attempts : 0) + 1;
+          if (failed.length > 0 && attempts < maxAttempts) {
+            console.warn(`⚠️ Block ${height}: sync of ${failed.join(', ')} failed (attempt ${attempts} of ${maxAttempts}), retrying next poll`);
+            retry = { height, members: failed, attempts };
+            return [...changed];
+          }
+          if (failed.length > 0) {
+            console.warn(`⚠️ Block ${height}: sync of ${failed.join(', ')} failed ${attempts} times, leaving them to the next full sync`);
+          }
+        }
+        // Only move on once the block has been handled (or given up on), so a failure retries it next time
+        retry = null;
+        await checkpointStore.write({ height, updatedAt: new Date().toISOString() });
+      }
+      if (target > last) console.log(`👀 Policy watcher is ${target - last} blocks behind, continuing next poll`);
+      return [...changed];
+    } finally {
+      running = false;
+    }
+  }
+
+  return { poll };
+}
@@ -0,0 +1,48 @@
+// Token-bucket rate limiter for chain API calls, shared by the verify and role bots
+//
+// The bucket lives in a store (rate-limit.json by default, see storage.js), so both bots draw from the same
+// API quota. A 429 response pauses every caller until the provider's Retry-After has passed.
+import { openStore } from './storage.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// ratePerSecond tokens are added every second, up to burst; store defaults to a shared store named after name
+export function createRateLimiter({ name, ratePerSecond, burst, store = openStore(`rate-limit-${name}`) }) {
+  // Add the tokens earned since the last update
+  function refill(bucket, now) {
+    const elapsed = Math.max(0, now - (bucket.updatedAt || now));
+    bucket.tokens = Math.min(burst, (bucket.tokens ?? burst) + (elapsed / 1000) * ratePerSecond);
+    bucket.updatedAt = now;
+  }
+
+  return {
+    // Wait for a token
+    async acquire() {
+      for (;;) {
+        const wait = await store.update(bucket => {
+          const now = Date.now();
+          refill(bucket, now);
+          if (bucket.blockedUntil > now) return bucket.blockedUntil - now;
+          if (bucket.tokens >= 1) {
+            bucket.tokens -= 1;
+            return 0;
+          }
+          return Math.ceil(((1 - bucket.tokens) / ratePerSecond) * 1000);
+        });
+        if (wait === 0) return;
+        await sleep(wait);
+      }
+    },
+
+    // The API answered 429: stop everyone for retryAfterMs and empty the bucket
+    async penalize(retryAfterMs) {
+      await store.update(bucket => {
+        const now = Date.now();
+        bucket.tokens = 0;
+        bucket.updatedAt = now;
+        bucket.blockedUntil = Math.max(bucket.blockedUntil || 0, now + retryAfterMs);
+      });
+      console.warn(`⚠️ ${name} rate limit hit, pausing requests for ${(retryAfterMs / 1000).toFixed(1)}s`);
+    }
+  };
+}
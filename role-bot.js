@@ -1,286 +1,365 @@
+// Discord bot that syncs roles from the verified wallets' holdings, in every guild it serves
+//
+// createRoleBot() sets the bot up on a chain provider and Discord client without starting anything, so it can be
+// driven from tests. Running `node role-bot.js` loads .env, starts the ping server and logs in to Discord.
+import http from 'http';
 import { Client, GatewayIntentBits, SlashCommandBuilder } from 'discord.js';
 import dotenv from 'dotenv';
-import axios from 'axios';
-import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import pLimit from 'p-limit';
-
-// Load .env
-dotenv.config();
+import { createChainProvider } from './chain-provider.js';
+import { loadVerifiedData } from './verified-store.js';
+import { adminCommand, handleAdminCommand } from './admin-commands.js';
+import { createClientGuildAccess } from './guild-access.js';
+import { buildHolderCommands, handleHolderCommand } from './holder-commands.js';
+import { setAuditClient } from './audit-log.js';
+import { createPolicyWatcher, getWatcherConfig } from './policy-watcher.js';
+import { listPlans, loadPlan, loadRoleSync, loadRolesData, savePlan } from './role-sync.js';
+import { getGuildConfig, getPrimaryGuildId, hasRules, listGuildConfigs } from './guild-config.js';
+import { handleSetupCommand, setupCommand } from './setup-commands.js';
 
-const DISCORD_BOT_TOKEN = process.env.DISCORD_BOT_TOKEN;
-const GUILD_ID = process.env.GUILD_ID;
-const BLOCKFROST_API_KEY = process.env.BLOCKFROST_API_KEY;
+const PORT = 3002;
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const limit = pLimit(5);
-
-// Updated POLICIES
-const POLICIES = {
-  tits: 'a4c45615825acae7c4937ee4d45d2ff9a29328084e2dc34bf4af37b2',
-  otwo: '3bcc312ebe7cd9281ab3e3d641bf70f207012e539b0e6e7c3f1560d7',
-  bob: '4552d6234e2a9cf2615220f9dbe1b233c4c2dccbc8d872dcae9a3795',
-  mx: 'd2d5dc672cd07a17fec693688cfcea3f4afe6564000eb8d73337b8ae',
-  twins: '4d78dc5ed9ea8cc940f8370e0d539fee3cb42d48b501762ba6acaf34',
-  coins: '13f58336e1e11cea3ee956e0311a4ab81fc53de79400b0e019bff5c5'
-};
-
-// Initialize the Discord client
-const client = new Client({ 
-  intents: [
-    GatewayIntentBits.Guilds,
-    GatewayIntentBits.GuildMembers
-  ]
-});
-
-let metadata02 = {};
-
-async function load02Metadata() {
-  try {
-    const raw = await fs.readFile(path.join(__dirname, '02-metadata.json'), 'utf-8');
-    metadata02 = JSON.parse(raw);
-    console.log('✅ 02-metadata.json loaded successfully:', Object.keys(metadata02).length, 'entries');
-  } catch (err) {
-    console.error('❌ Error loading 02-metadata.json:', err.message);
-    metadata02 = {};
-  }
+// Whether a request comes from this host
+function isLoopback(address) {
+  return address === '127.0.0.1' || address === '::1' || address === '::ffff:127.0.0.1';
 }
 
-function isValidCardanoAddress(address) {
-  return address && address.startsWith('addr1') && address.length >= 58 && /^[a-zA-Z0-9]+$/.test(address);
+// Describe the outcome of a member sync for the /getrole reply
+function formatSyncResult(result) {
+  if (!result) return 'You are not a member of this server.';
+  if (!result.entry) return 'Your wallet holdings could not be fetched right now, so your roles were not changed. Please try again later.';
+  const { entry, added, removed, pending } = result;
+  const lines = added.length === 0 && removed.length === 0
+    ? [`Your roles are already up to date: ${entry.assignedRoles.join(', ') || 'none'}.`]
+    : ['Roles have been updated based on your wallet assets.'];
+  if (added.length > 0) lines.push(`➕ Added: ${added.join(', ')}`);
+  if (removed.length > 0) lines.push(`➖ Removed: ${removed.join(', ')}`);
+  for (const role of pending) {
+    lines.push(`⏳ ${role.name} will be removed <t:${Math.floor(Date.parse(role.removeAt) / 1000)}:R> unless you qualify again.`);
+  }
+  return lines.join('\n');
 }
 
-async function loadVerifiedData() {
-  try {
-    const data = await fs.readFile(path.join(__dirname, 'verified.json'), 'utf-8');
-    return JSON.parse(data);
-  } catch (err) {
-    console.error('❌ verified.json not found or invalid:', err.message);
-    return {};
+// Create the role bot on a chain provider (see chain-provider.js) and a Discord client. Options:
+//   env      settings (SYNC_SECRET), default process.env
+//   baseDir  folder that rules files are resolved from, default the folder of this file
+// Returns { guilds, server, handleInteraction, initGuild, startGuild, assignRoles, syncSingleMember, syncMemberEverywhere };
+// server is the ping and /sync HTTP server, not listening yet
+export function createRoleBot({ chain, client, env = process.env, baseDir = __dirname }) {
+  const SYNC_SECRET = env.SYNC_SECRET;
+
+  // Guilds with rules: guildId -> { roleSync, config, timer }. Each guild has its own rules and schedule
+  // (see guild-config.js), set up at startup and again whenever its admins change them with /setup
+  const guilds = new Map();
+
+  // Role syncs run one at a time, across guilds, so they share the chain API quota;
+  // later requests wait for earlier ones instead of being dropped
+  let syncQueue = Promise.resolve();
+  function queueSync(task) {
+    const run = syncQueue.then(task);
+    syncQueue = run.catch(() => {});
+    return run;
   }
-}
 
-async function getAssets(wallet) {
-  if (!isValidCardanoAddress(wallet)) {
-    console.warn(`⚠️ Invalid Cardano address: ${wallet}`);
-    return [];
+  async function getGuildAccess(guildId) {
+    return createClientGuildAccess(await client.guilds.fetch(guildId));
   }
-  return limit(async () => {
-    wallet = wallet.trim();
-    const baseUrl = 'https://cardano-mainnet.blockfrost.io/api/v0/addresses';
-    let allAssets = [];
+
+  // Plan and apply a full sync of a guild right away
+  async function runFullSync(guildId) {
+    const guildSync = guilds.get(guildId);
+    if (!guildSync) return;
     try {
-      const addressUrl = `${baseUrl}/${encodeURIComponent(wallet)}`;
-      console.log(`🔍 Checking address existence at ${addressUrl}`);
-      const addressRes = await axios.get(addressUrl, { headers: { project_id: BLOCKFROST_API_KEY } });
-      console.log(`📌 Address check (Status: ${addressRes.status}):`, JSON.stringify(addressRes.data, null, 2));
-      const assetsFromAddress = addressRes.data.amount.filter(asset => asset.unit !== 'lovelace');
-      allAssets = assetsFromAddress.map(asset => ({
-        unit: asset.unit,
-        quantity: parseInt(asset.quantity),
-        policy_id: asset.unit.slice(0, 56),
-        asset_name: Buffer.from(asset.unit.slice(56), 'hex').toString('utf8')
-      }));
-      console.log(`📊 Total assets found from address: ${allAssets.length}`);
-    } catch (addressErr) {
-      const status = addressErr.response?.status || 'Unknown';
-      const message = addressErr.response?.data?.message || addressErr.message;
-      console.warn(`⚠️ Address ${wallet} not found: ${status} - ${message}`);
+      const guild = await getGuildAccess(guildId);
+      const plan = await guildSync.roleSync.planSync(guild, { record: true });
+      await guildSync.roleSync.applyPlan(plan, guild, { replace: true });
+    } catch (err) {
+      console.error(`❌ Error in assignRoles for guild ${guildId}:`, err.message);
     }
-    console.log(`📊 Total assets found for wallet ${wallet}: ${allAssets.length}`);
-    return allAssets;
-  });
-}
+  }
 
-function getMferRole(count) {
-  if (count >= 250) return 'God';
-  if (count >= 125) return '42% God';
-  if (count >= 75) return 'Part God';
-  if (count >= 50) return 'Lord of DN';
-  if (count >= 25) return 'Glorious Mfer';
-  if (count >= 10) return 'Big Ol’ Bumbum Mfer';
-  if (count >= 5) return 'Incredible Mfer';
-  if (count >= 4) return 'Fancy Mfer';
-  if (count >= 3) return 'Impressive Mfer';
-  if (count >= 2) return 'Semi-Impressive Mfer';
-  if (count >= 1) return 'Mfer';
-  if (count = 0) return 'No Mfer';
-  return null;
-}
+  // Full guild sync; a full sync of a guild that is already queued or running is not queued twice, the caller waits
+  // for that one instead. Never rejects: runFullSync() logs its errors
+  const assigningGuilds = new Map();
+  function assignRoles(guildId) {
+    if (assigningGuilds.has(guildId)) {
+      console.log(`⏳ Role assignment for guild ${guildId} already in progress, skipping`);
+      return assigningGuilds.get(guildId);
+    }
+    const run = queueSync(() => runFullSync(guildId)).finally(() => assigningGuilds.delete(guildId));
+    assigningGuilds.set(guildId, run);
+    return run;
+  }
+
+  // Sync a single member of a guild and merge the result into its roles.json without touching other entries
+  async function syncSingleMember(guildId, discordId) {
+    return queueSync(async () => guilds.get(guildId).roleSync.syncMember(await getGuildAccess(guildId), discordId));
+  }
 
-function hasRainbowStampTraits(assets) {
-  const needed = new Set(['Green', 'Blue', 'Navy', 'Red', 'Purple', 'Yellow']);
-  for (const asset of assets) {
-    const key = Object.keys(metadata02).find(k => k.endsWith(asset.asset_name));
-    if (key) {
-      const entry = metadata02[key];
-      if (entry && entry['Stamp Color']) {
-        needed.delete(entry['Stamp Color']);
+  // Verifications are shared, so a wallet change re-syncs the member in every guild; returns the IDs of the guilds
+  // where the sync failed: it threw, or a wallet's holdings or the metadata of a held asset could not be fetched.
+  // Unknown staking data is not counted, the next full sync picks it up
+  async function syncMemberEverywhere(discordId) {
+    const failed = [];
+    for (const guildId of guilds.keys()) {
+      try {
+        const result = await syncSingleMember(guildId, discordId);
+        if (result?.unknown === 'holdings' || result?.unknown === 'metadata') failed.push(guildId);
+      } catch (err) {
+        console.error(`❌ Sync of ${discordId} in guild ${guildId} failed:`, err.message);
+        failed.push(guildId);
       }
     }
-    if (needed.size === 0) {
-      console.log(`✅ Rainbow stamp colors complete for asset ${asset.asset_name}`);
-      return true;
+    return failed;
+  }
+
+  // Dry run: plan a full sync of a guild without changing any roles and save the plan in its plans folder
+  async function planFullSync(guildId) {
+    const plan = await queueSync(async () => guilds.get(guildId).roleSync.planSync(await getGuildAccess(guildId)));
+    const name = await savePlan(plan);
+    console.log(`📋 Saved role sync plan ${name} for guild ${guildId}`);
+    return { plan, name };
+  }
+
+  // Apply a plan saved by a dry run
+  async function applySavedPlan(guildId, name) {
+    const plan = await loadPlan(name, guildId);
+    return queueSync(async () => guilds.get(guildId).roleSync.applyPlan(plan, await getGuildAccess(guildId)));
+  }
+
+  // Register a guild's commands: only /setup until it has rules
+  async function registerCommands(guildId) {
+    const commands = [setupCommand];
+    const guildSync = guilds.get(guildId);
+    if (guildSync) {
+      const getrole = new SlashCommandBuilder()
+        .setName('getrole')
+        .setDescription('Assigns roles based on your verified Cardano wallet assets');
+      commands.push(getrole, adminCommand, ...buildHolderCommands(guildSync.roleSync.rules));
     }
+    await client.application.commands.set(commands, guildId);
   }
-  console.log(`⚠️ Missing rainbow stamp colors: ${Array.from(needed).join(', ')}`);
-  return false;
-}
 
-async function saveRolesData(rolesData) {
-  try {
-    await fs.writeFile(
-      path.join(__dirname, 'roles.json'),
-      JSON.stringify(rolesData, null, 2),
-      'utf-8'
-    );
-    console.log('💾 roles.json saved successfully');
-  } catch (err) {
-    console.error('❌ Error saving roles.json:', err.message);
+  // (Re)load a guild's rules and schedule its full syncs; returns an error message when its rules can't be loaded
+  async function startGuild(config) {
+    const { guildId } = config;
+    let roleSync;
+    try {
+      roleSync = await loadRoleSync({ chain, config, baseDir });
+    } catch (err) {
+      console.error(`❌ Failed to load role rules for guild ${guildId}:`, err.message);
+      return err.message;
+    }
+
+    const previous = guilds.get(guildId);
+    clearInterval(previous?.timer);
+    const timer = config.syncIntervalHours > 0
+      ? setInterval(() => assignRoles(guildId), config.syncIntervalHours * 60 * 60 * 1000)
+      : null;
+    guilds.set(guildId, { roleSync, config, timer });
+    await registerCommands(guildId);
+    // Sync everyone on startup and when the rules changed
+    if (JSON.stringify(previous?.roleSync.rules) !== JSON.stringify(roleSync.rules)) assignRoles(guildId);
+    return null;
   }
-}
 
-let isAssigningRoles = false;
-async function assignRoles() {
-  if (isAssigningRoles) {
-    console.log('⏳ Role assignment already in progress, skipping');
-    return;
+  // Start the role sync of a guild with rules, or only offer /setup there; returns an error message when its rules
+  // can't be loaded
+  async function initGuild(guildId, config) {
+    const error = hasRules(config) ? await startGuild(config) : null;
+    if (!guilds.has(guildId)) await registerCommands(guildId);
+    return error;
   }
-  isAssigningRoles = true;
-  try {
-    const verified = await loadVerifiedData();
-    const guild = await client.guilds.fetch(GUILD_ID);
-    const rolesData = {};
-
-    for (const [discordId, wallets] of Object.entries(verified)) {
-      console.log(`🔍 Processing user ${discordId} with wallets: ${JSON.stringify(wallets)}`);
-      const member = await guild.members.fetch(discordId).catch(() => null);
-      if (!member) {
-        console.log(`⚠️ Member ${discordId} not found in guild`);
-        continue;
-      }
 
-      const walletList = Array.isArray(wallets) ? wallets : [wallets];
-      let allAssets = [];
-      for (const wallet of walletList) {
-        const assets = await getAssets(wallet);
-        allAssets.push(...assets);
+  client.once('ready', async () => {
+    console.log(`🤖 Role sync bot online as ${client.user.tag}`);
+    setAuditClient(client);
+
+    const configs = await listGuildConfigs();
+    await client.guilds.fetch();
+    for (const guildId of client.guilds.cache.keys()) {
+      try {
+        const error = await initGuild(guildId, configs.find(config => config.guildId === guildId));
+        // The GUILD_ID guild ran on RULES_FILE before /setup existed: broken rules there stop the bot, as they did then
+        if (error && guildId === getPrimaryGuildId()) process.exit(1);
+      } catch (err) {
+        console.error(`❌ Failed to set up guild ${guildId}:`, err.message);
       }
+    }
+    console.log(`✅ Serving ${guilds.size} of ${client.guilds.cache.size} guilds`);
+    startPolicyWatcher();
+  });
 
-      if (allAssets.length === 0) {
-        console.log(`⚠️ No assets found for wallets ${walletList.join(', ')} for user ${discordId}.`);
-        continue;
-      }
+  // Offer /setup in servers the bot is added to
+  client.on('guildCreate', async guild => {
+    console.log(`👋 Added to guild ${guild.name} (${guild.id})`);
+    try {
+      await initGuild(guild.id, await getGuildConfig(guild.id));
+    } catch (err) {
+      console.error(`❌ Failed to set up guild ${guild.id}:`, err.message);
+    }
+  });
 
-      const policyMap = Object.fromEntries(Object.keys(POLICIES).map(k => [k, []]));
-      for (const asset of allAssets) {
-        for (const [label, policy] of Object.entries(POLICIES)) {
-          if (asset.policy_id === policy) policyMap[label].push(asset);
-        }
-      }
+  client.on('guildDelete', guild => {
+    console.log(`👋 Removed from guild ${guild.id}`);
+    clearInterval(guilds.get(guild.id)?.timer);
+    guilds.delete(guild.id);
+  });
+
+  // Re-sync members as soon as assets of the watched policies move in or out of their wallets
+  function startPolicyWatcher() {
+    let config;
+    try {
+      config = getWatcherConfig();
+    } catch (err) {
+      console.error('❌ Policy watcher configuration error:', err.message);
+      process.exit(1);
+    }
+    if (config.intervalMs === 0) {
+      console.log('👀 Policy watcher is off (WATCH_INTERVAL_SECONDS=0)');
+      return;
+    }
 
-      const count02mx = policyMap.otwo.length + policyMap.mx.length;
-      const mferRole = getMferRole(count02mx);
-      const rolesToAdd = mferRole ? [mferRole] : [];
-
-      if (policyMap.tits.length >= 1) rolesToAdd.push('TiTs');
-      if (policyMap.twins.length >= 1) rolesToAdd.push('Hoodros Au Revoir');
-      if (policyMap.coins.length >= 1) rolesToAdd.push('Dedicated Mfer');
-      if (policyMap.bob.length >= 1) rolesToAdd.push('Back Of Bills');
-      if (policyMap.mx.length >= 1) rolesToAdd.push('Sicario');
-      if (hasRainbowStampTraits(policyMap.otwo)) rolesToAdd.push('Xesserson Rainbow');
-
-      rolesData[discordId] = {
-        discordId,
-        assets: Object.fromEntries(
-          Object.entries(policyMap).map(([policy, assets]) => [
-            policy,
-            { count: assets.length, names: assets.map(a => a.asset_name) }
-          ])
-        ),
-        assignedRoles: rolesToAdd
-      };
-
-      const allRoleNames = [
-        'Mfer', 'Semi-Impressive Mfer', 'Impressive Mfer', 'Fancy Mfer',
-        'Incredible Mfer', 'Big Ol’ Bumbum Mfer', 'Glorious Mfer', 'Lord of DN',
-        'Part God', '42% God', 'God', 'TiTs', 'Hoodros Au Revoir',
-        'Dedicated Mfer', 'Back Of Bills', 'Sicario', 'Xesserson Rainbow'
-      ];
-
-      const guildRoles = await guild.roles.fetch();
-      const rolesToAssign = rolesToAdd
-        .map(name => {
-          const role = guildRoles.find(r => r.name === name);
-          if (!role) console.warn(`⚠️ Role ${name} not found in guild`);
-          return role;
-        })
-        .filter(Boolean);
-
-      const rolesToRemove = member.roles.cache.filter(r => allRoleNames.includes(r.name) && !rolesToAdd.includes(r.name));
-      await member.roles.remove(rolesToRemove);
-      for (const role of rolesToAssign) {
-        if (!member.roles.cache.has(role.id)) {
-          await member.roles.add(role);
-          console.log(`✅ Assigned role ${role.name} to ${discordId}`);
+    const watcher = createPolicyWatcher({
+      chain,
+      // The policies of every guild, as they are at each poll
+      getPolicyIds: () => [...new Set([...guilds.values()].flatMap(g => g.roleSync.policyIds))],
+      confirmations: config.confirmations,
+      onMembersChanged: async discordIds => {
+        const failed = [];
+        for (const discordId of discordIds) {
+          if ((await syncMemberEverywhere(discordId)).length > 0) failed.push(discordId);
         }
+        return failed;
       }
+    });
+    const poll = () => watcher.poll().catch(err => console.error('❌ Policy watcher poll failed:', err.message));
+    poll();
+    setInterval(poll, config.intervalMs);
+    console.log(`👀 Policy watcher polling every ${config.intervalMs / 1000}s`);
+  }
+
+  async function handleInteraction(interaction) {
+    if (!interaction.isChatInputCommand() || !interaction.guildId) return;
+    if (interaction.commandName === 'setup') {
+      await handleSetupCommand(interaction, { applyConfig: startGuild });
+      return;
+    }
+    const { guildId } = interaction;
+    const guildSync = guilds.get(guildId);
+    if (!guildSync) {
+      await interaction.reply({ content: 'Wallet roles are not set up in this server yet. An admin can set them up with `/setup`.', ephemeral: true });
+      return;
     }
 
-    await saveRolesData(rolesData);
-  } catch (err) {
-    console.error('❌ Error in assignRoles:', err.message);
-  } finally {
-    isAssigningRoles = false;
+    if (interaction.commandName === 'admin') {
+      await handleAdminCommand(interaction, {
+        guildId,
+        isPrimaryGuild: guildId === getPrimaryGuildId(env),
+        isMember: async discordId => Boolean(await (await getGuildAccess(guildId)).getMember(discordId)),
+        rules: guildSync.roleSync.rules,
+        syncMember: discordId => syncSingleMember(guildId, discordId),
+        syncMemberEverywhere,
+        syncAll: () => assignRoles(guildId),
+        isSyncRunning: () => assigningGuilds.has(guildId),
+        loadRolesData: () => loadRolesData(guildId),
+        planSync: () => planFullSync(guildId),
+        applyPlan: name => applySavedPlan(guildId, name),
+        listPlans: () => listPlans(guildId)
+      });
+      return;
+    }
+    if (['holdings', 'leaderboard'].includes(interaction.commandName)) {
+      await handleHolderCommand(interaction, { rules: guildSync.roleSync.rules, loadRolesData: () => loadRolesData(guildId) });
+      return;
+    }
+    if (interaction.commandName !== 'getrole') return;
+    await interaction.deferReply({ ephemeral: true });
+    try {
+      const discordId = interaction.user.id;
+      const verified = await loadVerifiedData();
+      if (!verified[discordId]) {
+        await interaction.editReply('No wallet found. Please verify your Cardano wallet first. Type in /verify to get started.');
+        return;
+      }
+      if (assigningGuilds.has(guildId)) {
+        await interaction.editReply('⏳ A full role sync is running, your request is queued and will run right after it.');
+      }
+      const result = await syncSingleMember(guildId, discordId);
+      await interaction.editReply(formatSyncResult(result));
+    } catch (err) {
+      console.error('❌ Error processing /getrole command:', err.message);
+      await interaction.editReply('An error occurred while processing your roles. Please try again later.');
+    }
   }
+
+  // UptimeRobot ping server, plus POST /sync/<discordId> for verify-bot to request a member re-sync
+  const server = http.createServer((req, res) => {
+    const syncMatch = req.method === 'POST' && req.url.match(/^\/sync\/(\d+)$/);
+    if (syncMatch) {
+      // The ping port is public: without a shared secret only the verify bot on this host may ask for syncs
+      const authorized = SYNC_SECRET ? req.headers['x-sync-secret'] === SYNC_SECRET : isLoopback(req.socket.remoteAddress);
+      if (!authorized) {
+        res.writeHead(401, { 'Content-Type': 'text/plain' });
+        res.end('Unauthorized\n');
+        return;
+      }
+      if (guilds.size === 0) {
+        res.writeHead(503, { 'Content-Type': 'text/plain' });
+        res.end('Role bot is starting\n');
+        return;
+      }
+      const discordId = syncMatch[1];
+      syncMemberEverywhere(discordId);
+      res.writeHead(202, { 'Content-Type': 'text/plain' });
+      res.end('Sync queued\n');
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('Bot is alive!\n');
+  });
+
+  client.on('interactionCreate', handleInteraction);
+
+  return { guilds, server, handleInteraction, initGuild, startGuild, assignRoles, syncSingleMember, syncMemberEverywhere };
 }
 
-client.once('ready', async () => {
-  console.log(`🤖 Role sync bot online as ${client.user.tag}`);
-  if (!DISCORD_BOT_TOKEN || !GUILD_ID || !BLOCKFROST_API_KEY) {
+async function main() {
+  // Load .env
+  dotenv.config();
+  if (!process.env.DISCORD_BOT_TOKEN) {
     console.error('❌ Missing required environment variables');
     process.exit(1);
   }
-  await load02Metadata();
-  const command = new SlashCommandBuilder()
-    .setName('getrole')
-    .setDescription('Assigns roles based on your verified Cardano wallet assets');
-  await client.application.commands.create(command, GUILD_ID);
-  await assignRoles();
-  setInterval(assignRoles, 24 * 60 * 60 * 1000); // Changed to 24 hours
-});
-
-client.on('interactionCreate', async interaction => {
-  if (!interaction.isCommand() || interaction.commandName !== 'getrole') return;
-  await interaction.deferReply({ ephemeral: true });
+
+  // Chain data provider (Blockfrost by default, see chain-provider.js)
+  let chain;
   try {
-    const discordId = interaction.user.id;
-    const verified = await loadVerifiedData();
-    if (!verified[discordId]) {
-      await interaction.editReply('No wallet found. Please verify your Cardano wallet first. Type in /verify to get started.');
-      return;
-    }
-    await assignRoles();
-    await interaction.editReply('Roles have been updated based on your wallet assets.');
+    chain = createChainProvider();
   } catch (err) {
-    console.error('❌ Error processing /getrole command:', err.message);
-    await interaction.editReply('An error occurred while processing your roles. Please try again later.');
+    console.error('❌ Chain provider configuration error:', err.message);
+    process.exit(1);
   }
-});
-
-client.login(DISCORD_BOT_TOKEN);
 
-import http from 'http';
+  // Initialize the Discord client
+  const client = new Client({ 
+    intents: [
+      GatewayIntentBits.Guilds,
+      GatewayIntentBits.GuildMembers
+    ]
+  });
+  const bot = createRoleBot({ chain, client });
+  bot.server.listen(PORT, () => {
+    console.log(`🌐 Ping server running on port ${PORT}`);
+  });
 
-const PORT = 3002;
+  client.login(process.env.DISCORD_BOT_TOKEN);
+}
 
-// UptimeRobot ping server
-http.createServer((req, res) => {
-  res.writeHead(200, { 'Content-Type': 'text/plain' });
-  res.end('Bot is alive!\n');
-}).listen(PORT, () => {
-  console.log(`🌐 Ping server running on port ${PORT}`);
-});
+// Only start when run directly, so tests can import the bot
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) await main();
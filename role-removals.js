@@ -0,0 +1,72 @@
+// Grace period before the role sync takes a managed role away
+//
+// A role a member no longer qualifies for is first recorded in pending-removals.json (one file per guild, see
+// guild-config.js):
+//   { "<discordId>": { "<role name>": "<ISO date first seen>" } }
+// and only removed once it has been unwanted for ROLE_REMOVAL_GRACE_HOURS (default 24, 0 removes right away),
+// so a chain API that briefly returns nothing can't wipe everyone's roles.
+import { getGuildDataName } from './guild-config.js';
+import { openStore } from './storage.js';
+
+const DEFAULT_GRACE_HOURS = 24;
+
+const pendingStores = new Map();
+function getPendingStore(guildId) {
+  const name = getGuildDataName('pending-removals', guildId);
+  if (!pendingStores.has(name)) pendingStores.set(name, openStore(name));
+  return pendingStores.get(name);
+}
+
+export function getRemovalGraceMs(env = process.env) {
+  const hours = env.ROLE_REMOVAL_GRACE_HOURS === undefined ? DEFAULT_GRACE_HOURS : Number(env.ROLE_REMOVAL_GRACE_HOURS);
+  if (!Number.isFinite(hours) || hours < 0) {
+    console.warn(`⚠️ Invalid ROLE_REMOVAL_GRACE_HOURS "${env.ROLE_REMOVAL_GRACE_HOURS}", using ${DEFAULT_GRACE_HOURS}`);
+    return DEFAULT_GRACE_HOURS * 60 * 60 * 1000;
+  }
+  return hours * 60 * 60 * 1000;
+}
+
+// Split unwanted roles into those due for removal and those still in their grace period
+function splitByGrace(firstSeen, unwantedRoles, graceMs, now) {
+  const due = [];
+  const pending = [];
+  const kept = {};
+  for (const name of unwantedRoles) {
+    const since = firstSeen[name] ? Date.parse(firstSeen[name]) : now;
+    if (now - since >= graceMs) {
+      due.push(name);
+    } else {
+      kept[name] = new Date(since).toISOString();
+      pending.push({ name, removeAt: new Date(since + graceMs).toISOString() });
+    }
+  }
+  return { due, pending, kept };
+}
+
+// Record the roles a member should lose; returns { due, pending } where due are the roles to remove now
+// and pending is [{ name, removeAt }] for roles still in their grace period.
+// Roles that are no longer unwanted are forgotten.
+export function applyRemovalGrace(guildId, discordId, unwantedRoles, graceMs = getRemovalGraceMs(), now = Date.now()) {
+  return getPendingStore(guildId).update(data => {
+    const { due, pending, kept } = splitByGrace(data[discordId] || {}, unwantedRoles, graceMs, now);
+    if (Object.keys(kept).length > 0) data[discordId] = kept;
+    else delete data[discordId];
+    return { due, pending };
+  });
+}
+
+// Same as applyRemovalGrace without recording anything, for dry runs
+export async function previewRemovalGrace(guildId, discordId, unwantedRoles, graceMs = getRemovalGraceMs(), now = Date.now()) {
+  const data = await getPendingStore(guildId).read();
+  const { due, pending } = splitByGrace(data[discordId] || {}, unwantedRoles, graceMs, now);
+  return { due, pending };
+}
+
+// Forget pending removals of members that are not in memberIds (e.g. they left the guild)
+export function prunePendingRemovals(guildId, memberIds) {
+  return getPendingStore(guildId).update(data => {
+    for (const discordId of Object.keys(data)) {
+      if (!memberIds.has(discordId)) delete data[discordId];
+    }
+  });
+}
@@ -0,0 +1,276 @@
+// Policy and role rules for role-bot.js, loaded from rules.json
+//
+// rules.json declares:
+// - policies: label -> policy ID
+// - counts:   label -> list of policy labels whose holdings are added up (e.g. otwo + mx)
+// - metadata: policy label -> metadata source used by trait rules (see trait-rules.js)
+// - decimals: policy label -> decimals of a fungible token (default 0), for rules by quantity
+// - rules:    evaluated in order, each rule grants at most one role
+//     { type: 'tiers', count | policy, by, tiers: [{ min, role }] }   highest tier reached
+//     { type: 'holds', count | policy, by, role, min = 1 }             hold at least `min`
+//     traitSet / traitCount / oneOfOne                                 metadata trait rules (see trait-rules.js)
+//     delegation / balance                                             staking rules (see staking-rules.js)
+// Tiers and holds go by 'count' (default), the number of distinct assets, or by 'quantity', the summed token quantity
+// in whole tokens after decimals, so minimums like 2.5 work for fungible tokens. CIP-68 reference tokens never count.
+import fs from 'fs/promises';
+import path from 'path';
+import { TRAIT_RULE_TYPES, evaluateTraitRule, validateMetadataSource, validateTraitRule } from './trait-rules.js';
+import { STAKING_RULE_TYPES, evaluateStakingRule, validateStakingRule } from './staking-rules.js';
+
+const RULE_TYPES = ['tiers', 'holds', ...TRAIT_RULE_TYPES, ...STAKING_RULE_TYPES];
+const MEASURES = ['count', 'quantity'];
+const MAX_DECIMALS = 18;
+const POLICY_ID_PATTERN = /^[0-9a-f]{56}$/;
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+// Minimums are whole assets for counts, and may have decimals for quantities
+function isValidMinimum(value, by) {
+  return by === 'quantity' ? typeof value === 'number' && Number.isFinite(value) && value > 0 : isPositiveInteger(value);
+}
+
+// Check a tiers or holds rule's measure and minimum
+function validateMinimum(value, by, where, errors) {
+  if (!isValidMinimum(value, by)) {
+    errors.push(`${where}: min must be ${by === 'quantity' ? 'a positive number' : 'a positive integer'}`);
+  }
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+// Check that a rule refers to exactly one known policy or count
+function validateSource(rule, where, policies, counts, errors) {
+  const hasPolicy = rule.policy !== undefined;
+  const hasCount = rule.count !== undefined;
+  if (hasPolicy === hasCount) {
+    errors.push(`${where}: must set exactly one of "policy" or "count"`);
+  } else if (hasPolicy && !policies[rule.policy]) {
+    errors.push(`${where}: unknown policy "${rule.policy}"`);
+  } else if (hasCount && !counts[rule.count]) {
+    errors.push(`${where}: unknown count "${rule.count}"`);
+  }
+}
+
+function validateMeasure(rule, where, errors) {
+  if (rule.by !== undefined && !MEASURES.includes(rule.by)) errors.push(`${where}: by must be one of ${MEASURES.join(', ')}`);
+}
+
+// Validate a parsed rules object, returning a list of problems (empty when valid)
+export function validateRules(rules) {
+  const errors = [];
+  if (!rules || typeof rules !== 'object') return ['rules must be a JSON object'];
+
+  const policies = rules.policies || {};
+  const counts = rules.counts || {};
+  const metadata = rules.metadata || {};
+  const decimals = rules.decimals || {};
+
+  if (Object.keys(policies).length === 0) errors.push('policies: at least one policy is required');
+  for (const [label, policyId] of Object.entries(policies)) {
+    if (!POLICY_ID_PATTERN.test(policyId)) errors.push(`policies.${label}: "${policyId}" is not a 56-character hex policy ID`);
+  }
+
+  for (const [label, members] of Object.entries(counts)) {
+    if (policies[label]) errors.push(`counts.${label}: name clashes with a policy label`);
+    if (!Array.isArray(members) || members.length === 0) {
+      errors.push(`counts.${label}: must be a non-empty list of policy labels`);
+      continue;
+    }
+    for (const member of members) {
+      if (!policies[member]) errors.push(`counts.${label}: unknown policy "${member}"`);
+    }
+  }
+
+  for (const [label, config] of Object.entries(metadata)) {
+    if (!policies[label]) errors.push(`metadata.${label}: unknown policy "${label}"`);
+    errors.push(...validateMetadataSource(config, `metadata.${label}`));
+  }
+
+  for (const [label, value] of Object.entries(decimals)) {
+    if (!policies[label]) errors.push(`decimals.${label}: unknown policy "${label}"`);
+    if (!(Number.isInteger(value) && value >= 0 && value <= MAX_DECIMALS)) {
+      errors.push(`decimals.${label}: must be a whole number from 0 to ${MAX_DECIMALS}`);
+    }
+  }
+
+  if (!Array.isArray(rules.rules) || rules.rules.length === 0) {
+    errors.push('rules: at least one rule is required');
+    return errors;
+  }
+
+  rules.rules.forEach((rule, i) => {
+    const where = `rules[${i}]`;
+    if (!RULE_TYPES.includes(rule?.type)) {
+      errors.push(`${where}: type must be one of ${RULE_TYPES.join(', ')}`);
+      return;
+    }
+
+    if (rule.type === 'tiers') {
+      validateSource(rule, where, policies, counts, errors);
+      validateMeasure(rule, where, errors);
+      if (!Array.isArray(rule.tiers) || rule.tiers.length === 0) {
+        errors.push(`${where}: tiers must be a non-empty list`);
+        return;
+      }
+      rule.tiers.forEach((tier, j) => {
+        validateMinimum(tier?.min, rule.by, `${where}.tiers[${j}]`, errors);
+        if (!isNonEmptyString(tier?.role)) errors.push(`${where}.tiers[${j}]: role is required`);
+      });
+      const mins = rule.tiers.map(t => t?.min);
+      if (new Set(mins).size !== mins.length) errors.push(`${where}: tier minimums must be unique`);
+      return;
+    }
+
+    if (!isNonEmptyString(rule.role)) errors.push(`${where}: role is required`);
+
+    if (rule.type === 'holds') {
+      validateSource(rule, where, policies, counts, errors);
+      validateMeasure(rule, where, errors);
+      if (rule.min !== undefined) validateMinimum(rule.min, rule.by, where, errors);
+    }
+
+    if (TRAIT_RULE_TYPES.includes(rule.type)) {
+      errors.push(...validateTraitRule(rule, where, policies, metadata));
+    }
+
+    if (STAKING_RULE_TYPES.includes(rule.type)) {
+      errors.push(...validateStakingRule(rule, where));
+    }
+  });
+
+  return errors;
+}
+
+// Validate parsed rules (e.g. rules set with /setup), throwing with every problem found; source names them in errors
+export function parseRules(rules, source = 'rules') {
+  const errors = validateRules(rules);
+  if (errors.length > 0) {
+    throw new Error(`Invalid rules in ${source}:\n- ${errors.join('\n- ')}`);
+  }
+  return {
+    policies: rules.policies,
+    counts: rules.counts || {},
+    metadata: rules.metadata || {},
+    decimals: rules.decimals || {},
+    rules: rules.rules
+  };
+}
+
+// Read and validate a rules file, throwing with every problem found
+export async function loadRules(filePath) {
+  const raw = await fs.readFile(filePath, 'utf-8');
+  return parseRules(JSON.parse(raw), path.basename(filePath));
+}
+
+// Every role name the rules can grant; these are the roles the bot manages
+export function getManagedRoleNames(rules) {
+  const names = new Set();
+  for (const rule of rules.rules) {
+    if (rule.type === 'tiers') rule.tiers.forEach(tier => names.add(tier.role));
+    else names.add(rule.role);
+  }
+  return [...names];
+}
+
+// Highest tier role reached by a count, or null; toUnits turns a tier minimum into the unit of the count
+export function getTierRole(count, tiers, toUnits = min => min) {
+  const reached = tiers.filter(tier => count >= toUnits(tier.min)).sort((a, b) => b.min - a.min);
+  return reached.length > 0 ? reached[0].role : null;
+}
+
+// Where a count stands on a tier ladder: { current: role or null, next: { role, min, needed } or null }
+export function getTierProgress(count, tiers) {
+  const next = tiers.filter(tier => tier.min > count).sort((a, b) => a.min - b.min)[0];
+  return {
+    current: getTierRole(count, tiers),
+    next: next ? { role: next.role, min: next.min, needed: next.min - count } : null
+  };
+}
+
+// Count of a policy or combined count label in a roles.json entry
+export function getEntryCount(rules, entry, label) {
+  const labels = rules.counts[label] || [label];
+  return labels.reduce((sum, policy) => sum + (entry.assets?.[policy]?.count || 0), 0);
+}
+
+// Quantity in whole tokens of a policy or combined count label in a roles.json entry; entries synced before
+// quantities were saved fall back to the count. For display, rules are evaluated on exact quantities.
+export function getEntryQuantity(rules, entry, label) {
+  const labels = rules.counts[label] || [label];
+  return labels.reduce((sum, policy) => {
+    const holding = entry.assets?.[policy];
+    return sum + Number(holding?.quantity ?? holding?.count ?? 0);
+  }, 0);
+}
+
+// A policy or combined count label's amount in a roles.json entry, as the rule measures it
+export function getEntryAmount(rules, entry, label, by = 'count') {
+  return by === 'quantity' ? getEntryQuantity(rules, entry, label) : getEntryCount(rules, entry, label);
+}
+
+// A quantity in base units as whole tokens, e.g. 2500000n with 6 decimals is '2.5'
+export function formatQuantity(units, decimals = 0) {
+  if (decimals === 0) return units.toString();
+  const digits = units.toString().padStart(decimals + 1, '0');
+  const fraction = digits.slice(-decimals).replace(/0+$/, '');
+  return fraction ? `${digits.slice(0, -decimals)}.${fraction}` : digits.slice(0, -decimals);
+}
+
+// Whole tokens (a rule minimum) in base units, rounded up so a minimum finer than the token's decimals is never lowered
+function toBaseUnits(value, decimals) {
+  const fixed = value.toFixed(decimals);
+  const units = BigInt(fixed.replace('.', ''));
+  return Number(fixed) < value ? units + 1n : units;
+}
+
+// Group assets by policy label
+export function groupByPolicy(rules, assets) {
+  const policyMap = Object.fromEntries(Object.keys(rules.policies).map(k => [k, []]));
+  for (const asset of assets) {
+    for (const [label, policy] of Object.entries(rules.policies)) {
+      if (asset.policy_id === policy) policyMap[label].push(asset);
+    }
+  }
+  return policyMap;
+}
+
+// What a tiers or holds rule looks at in one policy or a combined count: { amount, toUnits } where toUnits turns a
+// rule minimum into the unit of amount. By count the amount is the number of assets; by quantity it is the summed
+// quantity in base units (BigInt) at the most decimals among the policies, so policies with fewer decimals add up exactly
+function getSourceAmount(rules, rule, policyMap) {
+  const labels = rule.policy ? [rule.policy] : rules.counts[rule.count];
+  if (rule.by !== 'quantity') {
+    return { amount: labels.reduce((sum, label) => sum + policyMap[label].length, 0), toUnits: min => min };
+  }
+  const scale = Math.max(...labels.map(label => rules.decimals[label] || 0));
+  let amount = 0n;
+  for (const label of labels) {
+    const factor = 10n ** BigInt(scale - (rules.decimals[label] || 0));
+    for (const asset of policyMap[label]) amount += asset.quantity * factor;
+  }
+  return { amount, toUnits: min => toBaseUnits(min, scale) };
+}
+
+// Work out the roles a member should have for their grouped assets and staking data (see staking-rules.js)
+export function evaluateRules(rules, policyMap, metadataIndexes, staking = null) {
+  const rolesToAdd = [];
+  for (const rule of rules.rules) {
+    if (rule.type === 'tiers') {
+      const { amount, toUnits } = getSourceAmount(rules, rule, policyMap);
+      const role = getTierRole(amount, rule.tiers, toUnits);
+      if (role) rolesToAdd.push(role);
+    } else if (rule.type === 'holds') {
+      const { amount, toUnits } = getSourceAmount(rules, rule, policyMap);
+      if (amount >= toUnits(rule.min ?? 1)) rolesToAdd.push(rule.role);
+    } else if (TRAIT_RULE_TYPES.includes(rule.type)) {
+      if (evaluateTraitRule(rule, policyMap[rule.policy], metadataIndexes[rule.policy])) rolesToAdd.push(rule.role);
+    } else if (STAKING_RULE_TYPES.includes(rule.type)) {
+      if (evaluateStakingRule(rule, staking)) rolesToAdd.push(rule.role);
+    }
+  }
+  return [...new Set(rolesToAdd)];
+}
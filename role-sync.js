@@ -0,0 +1,506 @@
+// Role sync shared by role-bot.js, the /admin plan commands and sync-cli.js
+//
+// A sync is split in two steps:
+//   plan  - fetch holdings and work out, for every member, the managed roles to add and remove. Nothing on
+//           Discord is changed; only the member list and roles are read.
+//   apply - make the planned changes and save roles.json.
+// role-bot.js plans and applies right away; a dry run saves the plan in plans/ to be reviewed and applied later.
+// A role sync belongs to one guild with its own rules, roles.json, overrides and plans (see guild-config.js).
+// A plan looks like:
+//   { "version": 1, "createdAt": "<ISO date>", "guildId": "...", "summary": { ... },
+//     "changes": [{ "discordId", "name", "add": [role], "remove": [role], "pending": [{ "name", "removeAt" }],
+//                   "reasons": { "<role>": "why it is added or removed" } }],
+//     "unknown": ["<discordId>"],        members whose holdings could not be fetched
+//     "entries": { "<discordId>": ... }  roles.json after the sync }
+import fs from 'fs/promises';
+import path from 'path';
+import pLimit from 'p-limit';
+import { isStakeAddress, isValidCardanoAddress } from './cardano-address.js';
+import { CIP68_REFERENCE_LABEL, decodeAssetName } from './asset-names.js';
+import { getDataDir, openStore } from './storage.js';
+import { getGuildDataName, loadGuildRules } from './guild-config.js';
+import { createHoldingsCache } from './holdings-cache.js';
+import { loadVerifiedData } from './verified-store.js';
+import { buildHoldingsOwners, getCountedHoldingsKeys } from './wallet-ownership.js';
+import { loadOverrides } from './admin-store.js';
+import { logAuditEvent } from './audit-log.js';
+import { applyRemovalGrace, previewRemovalGrace, prunePendingRemovals } from './role-removals.js';
+import { evaluateRules, formatQuantity, getManagedRoleNames, groupByPolicy } from './role-rules.js';
+import { ensureOnchainMetadata, loadMetadataIndexes } from './trait-rules.js';
+import { getDelegationEpochs, lovelaceToAda, usesStakingRules } from './staking-rules.js';
+
+export const PLAN_VERSION = 1;
+const EPOCH_CACHE_TTL = 10 * 60 * 1000; // Epochs last days, so the current one is checked every 10 minutes
+
+const metadataStore = openStore('metadata-cache');
+const rolesStores = new Map();
+
+// roles.json of a guild
+function getRolesStore(guildId) {
+  const name = getGuildDataName('roles', guildId);
+  if (!rolesStores.has(name)) rolesStores.set(name, openStore(name));
+  return rolesStores.get(name);
+}
+
+export async function loadRolesData(guildId) {
+  try {
+    return await getRolesStore(guildId).read();
+  } catch (err) {
+    console.error(`❌ Error loading ${getGuildDataName('roles', guildId)}.json:`, err.message);
+    return {};
+  }
+}
+
+export async function saveRolesData(guildId, rolesData) {
+  try {
+    await getRolesStore(guildId).write(rolesData);
+    console.log(`💾 ${getGuildDataName('roles', guildId)}.json saved successfully`);
+  } catch (err) {
+    console.error(`❌ Error saving ${getGuildDataName('roles', guildId)}.json:`, err.message);
+  }
+}
+
+// Lovelace in { unit, quantity } amounts
+function getLovelace(amounts) {
+  return BigInt(amounts.find(asset => asset.unit === 'lovelace')?.quantity || 0);
+}
+
+// Turn { unit, quantity } amounts into asset records; quantities are BigInt, as fungible token amounts can be
+// larger than a Number holds exactly. CIP-68 reference tokens are left out (see asset-names.js).
+function toAssetRecords(amounts) {
+  return amounts
+    .filter(asset => asset.unit !== 'lovelace')
+    .map(asset => {
+      const { name, label } = decodeAssetName(asset.unit.slice(56));
+      return {
+        unit: asset.unit,
+        quantity: BigInt(asset.quantity),
+        policy_id: asset.unit.slice(0, 56),
+        asset_name: name,
+        cip68_label: label
+      };
+    })
+    .filter(asset => asset.cip68_label !== CIP68_REFERENCE_LABEL);
+}
+
+// Create the role sync of a guild for a chain provider and loaded rules (see loadRules and loadMetadataIndexes)
+export function createRoleSync({ chain, rules, metadataIndexes, guildId }) {
+  const limit = pLimit(5);
+  const managedRoleNames = getManagedRoleNames(rules);
+  const holdingsCache = createHoldingsCache(chain);
+  const needsStaking = usesStakingRules(rules);
+  let metadataCache = null;
+  let epochCache = null;
+
+  // Fetch the assets for a holdings key: a stake address (all addresses of the wallet) or a payment address
+  // Returns { assets, lovelace }, or null when the holdings could not be fetched, so callers can tell a failure from
+  // an empty wallet. Stake keys hold no lovelace here, their balance comes with their account (see getStaking).
+  // Holdings come from the holdings cache; maxAge overrides its TTL
+  async function getAssets(key, maxAge) {
+    const isStakeKey = isStakeAddress(key);
+    if (!isStakeKey && !isValidCardanoAddress(key, chain.network)) {
+      console.warn(`⚠️ Invalid Cardano address: ${key}`);
+      return { assets: [], lovelace: 0n };
+    }
+    return limit(async () => {
+      let amounts;
+      try {
+        // An address or stake key never used on chain holds nothing
+        amounts = await holdingsCache.get(key, { maxAge });
+      } catch (err) {
+        console.warn(`⚠️ Could not fetch assets for ${key}: ${err.status || 'Unknown'} - ${err.message}`);
+        return null;
+      }
+      const assets = toAssetRecords(amounts);
+      console.log(`📊 Total assets found for ${key}: ${assets.length}`);
+      return { assets, lovelace: isStakeKey ? 0n : getLovelace(amounts) };
+    });
+  }
+
+  async function getCurrentEpoch() {
+    if (!epochCache || Date.now() - epochCache.fetchedAt > EPOCH_CACHE_TTL) {
+      epochCache = { epoch: await chain.getCurrentEpoch(), fetchedAt: Date.now() };
+    }
+    return epochCache.epoch;
+  }
+
+  // Staking data for delegation and balance rules (see staking-rules.js); lovelace starts with the balance of the
+  // member's payment addresses. Returns null when an account could not be fetched
+  async function getStaking(holdingsKeys, lovelace) {
+    const stakeKeys = holdingsKeys.filter(isStakeAddress);
+    // Without a proven stake key there is nothing to fetch
+    if (stakeKeys.length === 0) return { lovelace, delegations: [] };
+    try {
+      const currentEpoch = await getCurrentEpoch();
+      const delegations = [];
+      for (const key of stakeKeys) {
+        const account = await limit(() => chain.getAccount(key)).catch(err => {
+          // A stake key never seen on chain has nothing and delegates nowhere
+          if (err.status === 404) return null;
+          throw err;
+        });
+        if (!account) continue;
+        lovelace += BigInt(account.lovelace);
+        if (account.poolId) {
+          delegations.push({
+            stakeAddress: key,
+            poolId: account.poolId,
+            epochs: getDelegationEpochs(account.delegatedSinceEpoch, currentEpoch)
+          });
+        }
+      }
+      return { lovelace, delegations };
+    } catch (err) {
+      console.warn(`⚠️ Could not fetch staking data for ${holdingsKeys.join(', ')}: ${err.status || 'Unknown'} - ${err.message}`);
+      return null;
+    }
+  }
+
+  // Fetch the CIP-25 on-chain metadata of an asset, cached in metadata-cache.json since it never changes.
+  // Throws when the lookup fails, so a failure is never mistaken for an asset without metadata
+  async function fetchAssetMetadata(unit) {
+    if (!metadataCache) {
+      metadataCache = await metadataStore.read().catch(err => {
+        console.error('❌ Error loading metadata-cache.json:', err.message);
+        return {};
+      });
+    }
+    if (unit in metadataCache) return metadataCache[unit];
+    return limit(async () => {
+      let metadata;
+      try {
+        metadata = await chain.getAssetMetadata(unit);
+      } catch (err) {
+        // An asset the provider doesn't know has no metadata
+        if (err.status === 404) return null;
+        console.warn(`⚠️ Metadata for ${unit} not available: ${err.status || 'Unknown'} - ${err.message}`);
+        throw err;
+      }
+      metadataCache[unit] = metadata;
+      await metadataStore.update(cache => {
+        cache[unit] = metadata;
+      }).catch(err => console.error('❌ Error saving metadata-cache.json:', err.message));
+      return metadata;
+    });
+  }
+
+  // Fetch a member's holdings and work out the roles they should have
+  // Returns { entry, unknown }: entry is null when the member's holdings are unknown, and unknown says what could not
+  // be fetched ('holdings' of a wallet, 'staking' data or 'metadata' of a held asset)
+  async function computeMemberRoles(discordId, holdingsKeys, { maxAge } = {}) {
+    let allAssets = [];
+    let lovelace = 0n;
+    for (const key of holdingsKeys) {
+      const holdings = await getAssets(key, maxAge);
+      if (!holdings) {
+        console.log(`⚠️ Holdings of ${discordId} are unknown, leaving their roles as they are`);
+        return { entry: null, unknown: 'holdings' };
+      }
+      allAssets.push(...holdings.assets);
+      lovelace += holdings.lovelace;
+    }
+    const staking = needsStaking ? await getStaking(holdingsKeys, lovelace) : null;
+    if (needsStaking && !staking) {
+      console.log(`⚠️ Staking data of ${discordId} is unknown, leaving their roles as they are`);
+      return { entry: null, unknown: 'staking' };
+    }
+    if (allAssets.length === 0 && holdingsKeys.length > 0) {
+      console.log(`⚠️ No assets found for wallets ${holdingsKeys.join(', ')} for user ${discordId}.`);
+    }
+
+    const policyMap = groupByPolicy(rules, allAssets);
+    try {
+      await ensureOnchainMetadata(rules, metadataIndexes, policyMap, fetchAssetMetadata);
+    } catch (err) {
+      console.log(`⚠️ Metadata of ${discordId}'s assets is unknown, leaving their roles as they are`);
+      return { entry: null, unknown: 'metadata' };
+    }
+    const rolesToAdd = evaluateRules(rules, policyMap, metadataIndexes, staking);
+
+    const entry = {
+      discordId,
+      holdingsKeys,
+      assets: Object.fromEntries(
+        Object.entries(policyMap).map(([policy, assets]) => [
+          policy,
+          {
+            count: assets.length,
+            quantity: formatQuantity(assets.reduce((sum, a) => sum + a.quantity, 0n), rules.decimals[policy]),
+            names: assets.map(a => a.asset_name)
+          }
+        ])
+      ),
+      assignedRoles: rolesToAdd,
+      syncedAt: new Date().toISOString()
+    };
+    if (staking) {
+      entry.staking = {
+        ada: lovelaceToAda(staking.lovelace),
+        delegations: staking.delegations.map(({ poolId, epochs }) => ({ poolId, epochs }))
+      };
+    }
+    return { entry, unknown: null };
+  }
+
+  // Work out the role changes of one member ({ id, name, roleNames }) from their holdings keys.
+  // Admin override roles are always granted and never removed; other managed roles the member should not have
+  // are removed once their grace period is over (see role-removals.js). With record set the grace period is
+  // started for newly unwanted roles; a dry run only looks at it. maxAge is passed on to the holdings cache.
+  // Returns { discordId, name, entry, unknown, add, remove, pending, reasons }; entry is null when the holdings could
+  // not be fetched, and unknown says what failed (see computeMemberRoles)
+  async function planMember(member, holdingsKeys, overrideRoles = [], { guildRoleNames, record, maxAge }) {
+    console.log(`🔍 Processing user ${member.id} with wallets: ${JSON.stringify(holdingsKeys)}`);
+    const { entry, unknown } = await computeMemberRoles(member.id, holdingsKeys, { maxAge });
+
+    const earned = entry?.assignedRoles || [];
+    const expected = [...new Set([...earned, ...overrideRoles])];
+    if (entry) {
+      entry.assignedRoles = expected;
+      if (overrideRoles.length > 0) entry.overrideRoles = overrideRoles;
+    }
+    for (const name of expected.filter(name => !guildRoleNames.includes(name))) {
+      console.warn(`⚠️ Role ${name} not found in guild`);
+    }
+    const add = expected.filter(name => guildRoleNames.includes(name) && !member.roleNames.includes(name));
+
+    // Without holdings data nothing is removed
+    let remove = [];
+    let pending = [];
+    if (entry) {
+      const unwanted = member.roleNames.filter(name => managedRoleNames.includes(name) && !expected.includes(name));
+      const grace = record
+        ? await applyRemovalGrace(guildId, member.id, unwanted)
+        : await previewRemovalGrace(guildId, member.id, unwanted);
+      remove = grace.due;
+      pending = grace.pending;
+    }
+
+    const reasons = {};
+    for (const name of add) {
+      reasons[name] = earned.includes(name) ? 'holdings qualify' : 'admin override';
+    }
+    for (const name of remove) {
+      reasons[name] = holdingsKeys.length === 0 ? 'no verified wallets' : 'holdings no longer qualify';
+    }
+    return { discordId: member.id, name: member.name, entry, unknown, add, remove, pending, reasons };
+  }
+
+  // Plan a full sync of every verified member, every member with overrides and every member holding a
+  // managed role (verified or not, so roles of members who lost verification are cleaned up too)
+  async function planSync(guild, { record = false } = {}) {
+    checkGuild(guild);
+    const verified = await loadVerifiedData();
+    const overrides = await loadOverrides(guildId);
+    const previousRolesData = await loadRolesData(guildId);
+    const guildRoleNames = (await guild.listRoles()).map(r => r.name);
+    const members = new Map((await guild.listMembers()).map(m => [m.id, m]));
+    // Each wallet only counts for one member, even if several accounts verified it
+    const owners = buildHoldingsOwners(verified);
+
+    const roleHolders = [...members.values()]
+      .filter(member => member.roleNames.some(name => managedRoleNames.includes(name)))
+      .map(member => member.id);
+    const memberIds = new Set([...Object.keys(verified), ...Object.keys(overrides), ...roleHolders]);
+    console.log(`🔍 Reconciling roles of ${memberIds.size} members (${roleHolders.length} hold managed roles)`);
+
+    const plan = { version: PLAN_VERSION, createdAt: new Date().toISOString(), guildId: guild.guildId, changes: [], unknown: [], entries: {} };
+    for (const discordId of memberIds) {
+      const member = members.get(discordId);
+      if (!member) {
+        console.log(`⚠️ Member ${discordId} not found in guild`);
+        continue;
+      }
+      const holdingsKeys = getCountedHoldingsKeys(verified, discordId, owners);
+      const result = await planMember(member, holdingsKeys, overrides[discordId], { guildRoleNames, record });
+
+      if (result.entry?.holdingsKeys.length > 0) plan.entries[discordId] = result.entry;
+      // Holdings could not be fetched: keep what we knew
+      else if (!result.entry && previousRolesData[discordId]) plan.entries[discordId] = previousRolesData[discordId];
+      if (!result.entry) plan.unknown.push(discordId);
+      if (result.add.length > 0 || result.remove.length > 0 || result.pending.length > 0) {
+        const { entry, unknown, ...change } = result;
+        plan.changes.push(change);
+      }
+    }
+
+    await holdingsCache.flush();
+    if (record) await prunePendingRemovals(guildId, new Set(members.keys()));
+    plan.summary = summarizePlan(plan, memberIds.size);
+    return plan;
+  }
+
+  // Make the role changes of a plan and save its roles.json entries; returns [{ discordId, added, removed }]
+  // Roles already added or removed since the plan was made are skipped. A saved plan may be hours old, so only the
+  // entries of the members it changes are merged into roles.json; with replace set (a full sync applied right after
+  // planning it) its entries replace the whole file
+  async function applyPlan(plan, guild, { replace = false } = {}) {
+    if (plan.guildId !== guild.guildId) throw new Error(`Plan is for guild ${plan.guildId}, not ${guild.guildId}`);
+    const roleIds = new Map((await guild.listRoles()).map(r => [r.name, r.id]));
+    const results = [];
+
+    for (const change of plan.changes) {
+      const member = await guild.getMember(change.discordId);
+      if (!member) {
+        console.log(`⚠️ Member ${change.discordId} not found in guild, skipping`);
+        continue;
+      }
+      const added = [];
+      const removed = [];
+      for (const name of change.remove.filter(name => member.roleNames.includes(name) && roleIds.has(name))) {
+        await guild.removeRole(change.discordId, roleIds.get(name));
+        removed.push(name);
+      }
+      for (const name of change.add.filter(name => !member.roleNames.includes(name) && roleIds.has(name))) {
+        await guild.addRole(change.discordId, roleIds.get(name));
+        added.push(name);
+      }
+      if (removed.length > 0) console.log(`🗑️ Removed roles ${removed.join(', ')} from ${change.discordId}`);
+      if (added.length > 0) console.log(`✅ Assigned roles ${added.join(', ')} to ${change.discordId}`);
+      for (const role of removed) {
+        await logAuditEvent('role.removed', { discordId: change.discordId, guildId, role, reason: change.reasons?.[role] || 'role sync' });
+      }
+      for (const role of added) {
+        await logAuditEvent('role.added', { discordId: change.discordId, guildId, role, reason: change.reasons?.[role] || 'role sync' });
+      }
+      for (const role of change.pending) {
+        console.log(`⏳ Keeping ${role.name} for ${change.discordId} until ${role.removeAt} (removal grace period)`);
+      }
+      results.push({ discordId: change.discordId, added, removed });
+    }
+
+    if (replace) {
+      if (plan.entries) await saveRolesData(guildId, plan.entries);
+    } else if (results.length > 0) {
+      // Members whose holdings could not be fetched keep their current entry
+      const unknown = new Set(plan.unknown || []);
+      await getRolesStore(guildId).update(rolesData => {
+        for (const { discordId } of results.filter(r => !unknown.has(r.discordId))) {
+          if (plan.entries?.[discordId]) rolesData[discordId] = plan.entries[discordId];
+          else delete rolesData[discordId];
+        }
+      });
+    }
+    return results;
+  }
+
+  // Sync a single member and merge the result into roles.json without touching other entries
+  // Returns { entry, unknown, added, removed, pending } or null when the member is not in the guild
+  async function syncMember(guild, discordId) {
+    checkGuild(guild);
+    const verified = await loadVerifiedData();
+    const overrides = await loadOverrides(guildId);
+    const member = await guild.getMember(discordId);
+    if (!member) {
+      console.log(`⚠️ Member ${discordId} not found in guild`);
+      await getRolesStore(guildId).update(rolesData => {
+        delete rolesData[discordId];
+      });
+      return null;
+    }
+
+    const guildRoleNames = (await guild.listRoles()).map(r => r.name);
+    const holdingsKeys = getCountedHoldingsKeys(verified, discordId);
+    // The member asked for it, so check every wallet for changes
+    const change = await planMember(member, holdingsKeys, overrides[discordId], { guildRoleNames, record: true, maxAge: 0 });
+    await holdingsCache.flush();
+    const [result] = await applyChanges(guild, [change]);
+
+    await getRolesStore(guildId).update(rolesData => {
+      if (change.entry?.holdingsKeys.length > 0) rolesData[discordId] = change.entry;
+      else if (change.entry) delete rolesData[discordId];
+    });
+    const { entry, unknown, pending } = change;
+    return { entry, unknown, added: result?.added || [], removed: result?.removed || [], pending };
+  }
+
+  // The rules, roles.json and overrides of this role sync belong to its own guild
+  function checkGuild(guild) {
+    if (guild.guildId !== guildId) throw new Error(`Role sync is for guild ${guildId}, not ${guild.guildId}`);
+  }
+
+  // Apply member changes without saving roles.json
+  async function applyChanges(guild, changes) {
+    return applyPlan({ guildId: guild.guildId, changes, entries: null }, guild);
+  }
+
+  const policyIds = Object.values(rules.policies);
+  return { guildId, rules, managedRoleNames, policyIds, computeMemberRoles, planMember, planSync, applyPlan, syncMember };
+}
+
+// Load a guild's rules (see guild-config.js) and metadata indexes, and create its role sync
+export async function loadRoleSync({ chain, config, baseDir }) {
+  const rules = await loadGuildRules(config, baseDir);
+  const metadataIndexes = await loadMetadataIndexes(rules, baseDir);
+  const roleSync = createRoleSync({ chain, rules, metadataIndexes, guildId: config.guildId });
+  console.log(
+    `✅ Loaded ${rules.rules.length} role rules managing ${roleSync.managedRoleNames.length} roles for guild ${config.guildId}`
+  );
+  return roleSync;
+}
+
+function summarizePlan(plan, checked) {
+  return {
+    members: checked,
+    changed: plan.changes.filter(c => c.add.length > 0 || c.remove.length > 0).length,
+    add: plan.changes.reduce((sum, c) => sum + c.add.length, 0),
+    remove: plan.changes.reduce((sum, c) => sum + c.remove.length, 0),
+    pending: plan.changes.reduce((sum, c) => sum + c.pending.length, 0),
+    unknown: plan.unknown.length
+  };
+}
+
+// Human-readable summary of a plan, listing at most maxLines member changes
+export function formatPlanSummary(plan, maxLines = Infinity) {
+  const { summary } = plan;
+  const lines = [
+    `📋 Role sync plan from ${plan.createdAt}: ${summary.members} members checked, ${summary.changed} to change`,
+    `➕ ${summary.add} roles to add, ➖ ${summary.remove} to remove, ⏳ ${summary.pending} removals pending, ` +
+    `⚠️ ${summary.unknown} members with unknown holdings`
+  ];
+  const shown = plan.changes.slice(0, maxLines);
+  for (const change of shown) {
+    const parts = [
+      ...change.add.map(name => `+${name}`),
+      ...change.remove.map(name => `-${name}`),
+      ...change.pending.map(role => `⏳${role.name} (${role.removeAt.slice(0, 10)})`)
+    ];
+    lines.push(`• ${change.name || change.discordId} (${change.discordId}): ${parts.join(', ')}`);
+  }
+  if (plan.changes.length > shown.length) lines.push(`… and ${plan.changes.length - shown.length} more`);
+  return lines.join('\n');
+}
+
+function getPlansDir(guildId) {
+  return path.join(getDataDir(), getGuildDataName('plans', guildId));
+}
+
+// Save a plan in the plans folder of its guild; returns its name
+export async function savePlan(plan) {
+  const name = `plan-${plan.createdAt.replace(/[:.]/g, '-')}.json`;
+  const dir = getPlansDir(plan.guildId);
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, name), JSON.stringify(plan, null, 2), { flag: 'wx' });
+  return name;
+}
+
+// Load a saved plan by name (from the guild's plans folder) or path
+export async function loadPlan(nameOrPath, guildId) {
+  const filePath = nameOrPath.includes('/') || nameOrPath.includes(path.sep)
+    ? path.resolve(nameOrPath)
+    : path.join(getPlansDir(guildId), path.basename(nameOrPath));
+  const plan = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  if (plan.version !== PLAN_VERSION || !Array.isArray(plan.changes)) {
+    throw new Error(`${path.basename(filePath)} is not a role sync plan`);
+  }
+  return plan;
+}
+
+// Names of the saved plans of a guild, newest first
+export async function listPlans(guildId) {
+  try {
+    return (await fs.readdir(getPlansDir(guildId))).filter(name => name.endsWith('.json')).sort().reverse();
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+}
@@ -0,0 +1,138 @@
+// /setup slash command for role-bot.js: a server's admins configure the bot for their own server
+// (rules, role sync schedule and audit channel, see guild-config.js)
+import axios from 'axios';
+import { ChannelType, PermissionFlagsBits, SlashCommandBuilder } from 'discord.js';
+import { DEFAULT_SYNC_INTERVAL_HOURS, getGuildConfig, hasRules, updateGuildConfig } from './guild-config.js';
+import { getManagedRoleNames, parseRules } from './role-rules.js';
+import { getMetadataSource } from './trait-rules.js';
+
+// Members need Manage Server to see and use /setup
+const SETUP_PERMISSION = PermissionFlagsBits.ManageGuild;
+const MAX_RULES_SIZE = 256 * 1024;
+const MAX_SYNC_INTERVAL_HOURS = 24 * 7;
+
+export const setupCommand = new SlashCommandBuilder()
+  .setName('setup')
+  .setDescription('Configure wallet roles for this server')
+  .setDefaultMemberPermissions(SETUP_PERMISSION)
+  .setDMPermission(false)
+  .addSubcommand(sub => sub
+    .setName('show')
+    .setDescription("Show this server's configuration and rules"))
+  .addSubcommand(sub => sub
+    .setName('rules')
+    .setDescription('Set the policies and role rules from a rules JSON file (see rules.json)')
+    .addAttachmentOption(opt => opt.setName('file').setDescription('Rules JSON file').setRequired(true)))
+  .addSubcommand(sub => sub
+    .setName('schedule')
+    .setDescription('Set how often every member is re-synced')
+    .addIntegerOption(opt => opt
+      .setName('hours')
+      .setDescription(`Hours between full role syncs (default ${DEFAULT_SYNC_INTERVAL_HOURS}, 0 turns them off)`)
+      .setMinValue(0)
+      .setMaxValue(MAX_SYNC_INTERVAL_HOURS)
+      .setRequired(true)))
+  .addSubcommand(sub => sub
+    .setName('audit')
+    .setDescription('Post role changes to a channel, or stop posting them when no channel is given')
+    .addChannelOption(opt => opt
+      .setName('channel')
+      .setDescription('Audit channel')
+      .addChannelTypes(ChannelType.GuildText)));
+
+function describeConfig(config) {
+  if (!config) return '⚙️ This server is not set up yet. Upload your rules with `/setup rules`.';
+  const lines = ['⚙️ **Server configuration**'];
+  if (config.rules) {
+    const rules = config.rules;
+    lines.push(`**Rules:** ${Object.keys(rules.policies).length} policies, ${rules.rules.length} rules ` +
+      `managing ${getManagedRoleNames(parseRules(rules)).length} roles`);
+  } else if (config.rulesFile) {
+    lines.push(`**Rules:** ${config.rulesFile} (from the bot's files)`);
+  } else {
+    lines.push('**Rules:** none yet, upload them with `/setup rules`');
+  }
+  lines.push(config.syncIntervalHours > 0
+    ? `**Full role sync:** every ${config.syncIntervalHours} hours`
+    : '**Full role sync:** off (members are still synced on `/getrole` and wallet changes)');
+  lines.push(`**Audit channel:** ${config.auditChannelId ? `<#${config.auditChannelId}>` : 'none'}`);
+  if (config.updatedBy) {
+    lines.push(`Last changed by <@${config.updatedBy}> <t:${Math.floor(Date.parse(config.updatedAt) / 1000)}:R>`);
+  }
+  return lines.join('\n');
+}
+
+// Download and check an uploaded rules file; returns { rules } or { error }
+async function readRulesAttachment(attachment) {
+  if (attachment.size > MAX_RULES_SIZE) return { error: `The rules file is too large (max ${MAX_RULES_SIZE / 1024} KB).` };
+  let rules;
+  try {
+    const response = await axios.get(attachment.url, { responseType: 'text', transformResponse: data => data });
+    rules = JSON.parse(response.data);
+  } catch (err) {
+    return { error: `Could not read the rules file: ${err.message}` };
+  }
+  try {
+    parseRules(rules, attachment.name);
+  } catch (err) {
+    return { error: err.message };
+  }
+  // The bot's own files are off limits to other servers, so only on-chain metadata can be used
+  const fileSources = Object.keys(rules.metadata || {}).filter(label => getMetadataSource(rules.metadata[label]).source !== 'cip25');
+  if (fileSources.length > 0) {
+    return { error: `Metadata of ${fileSources.join(', ')} must use { "source": "cip25" }, metadata files can't be uploaded.` };
+  }
+  return { rules };
+}
+
+async function show(interaction, config) {
+  const reply = { content: describeConfig(config) };
+  if (config?.rules) {
+    reply.files = [{ attachment: Buffer.from(JSON.stringify(config.rules, null, 2)), name: 'rules.json' }];
+  }
+  await interaction.editReply(reply);
+}
+
+// Handle /setup; ctx = { applyConfig(config) } reloads the server's role sync and commands, and returns an error
+// message when the new configuration could not be loaded
+export async function handleSetupCommand(interaction, ctx) {
+  // Default member permissions can be changed by server admins, so check again
+  if (!interaction.memberPermissions?.has(SETUP_PERMISSION)) {
+    await interaction.reply({ content: '⛔ You need the Manage Server permission to use this command.', ephemeral: true });
+    return;
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+  try {
+    const { guildId } = interaction;
+    const subcommand = interaction.options.getSubcommand();
+    if (subcommand === 'show') {
+      await show(interaction, await getGuildConfig(guildId));
+      return;
+    }
+
+    let changes;
+    if (subcommand === 'rules') {
+      const { rules, error } = await readRulesAttachment(interaction.options.getAttachment('file'));
+      if (error) {
+        await interaction.editReply(`❌ ${error}`.slice(0, 2000));
+        return;
+      }
+      changes = { rules };
+    } else if (subcommand === 'schedule') {
+      changes = { syncIntervalHours: interaction.options.getInteger('hours') };
+    } else if (subcommand === 'audit') {
+      changes = { auditChannelId: interaction.options.getChannel('channel')?.id || null };
+    }
+
+    const config = await updateGuildConfig(guildId, changes, interaction.user.id);
+    console.log(`⚙️ Admin ${interaction.user.id} changed the ${subcommand} setup of guild ${guildId}`);
+    const error = hasRules(config) ? await ctx.applyConfig(config) : null;
+    await interaction.editReply(error
+      ? `⚠️ Saved, but the role sync could not start: ${error}`.slice(0, 2000)
+      : `✅ Saved.\n${describeConfig(config)}`);
+  } catch (err) {
+    console.error('❌ Error processing /setup command:', err.message);
+    await interaction.editReply('An error occurred while processing the command.');
+  }
+}
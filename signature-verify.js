@@ -0,0 +1,98 @@
+// CIP-8 / CIP-30 signData verification for wallet ownership
+import CSL from '@emurgo/cardano-serialization-lib-nodejs';
+import MS from '@emurgo/cardano-message-signing-nodejs';
+
+// COSE_Key labels (RFC 8152): -1 = curve, -2 = x (public key)
+const COSE_KEY_CRV = MS.Label.new_int(MS.Int.new_negative(MS.BigNum.from_str('1')));
+const COSE_KEY_X = MS.Label.new_int(MS.Int.new_negative(MS.BigNum.from_str('2')));
+const ED25519_CURVE = 6;
+
+// Build the message the user has to sign for a given nonce
+export function buildSignMessage(discordId, nonce) {
+  return `Know-your-Mfer wallet verification\nDiscord ID: ${discordId}\nNonce: ${nonce}`;
+}
+
+// Convert a bech32 address to the hex form CIP-30 signData expects
+export function addressToHex(bech32Address) {
+  return CSL.Address.from_bech32(bech32Address).to_hex();
+}
+
+// Get the payment key hash of an address (the stake key hash of a reward address), or null for script credentials
+function getPaymentKeyHash(address) {
+  const cred = address.payment_cred();
+  if (!cred || cred.kind() !== CSL.CredKind.Key) return null;
+  return cred.to_keyhash().to_hex();
+}
+
+// Verify a CIP-30 signData result ({ signature, key } as hex CBOR) against the claimed address and message.
+// A payment address proves its payment key; a reward address (stake1...) proves the stake key
+export function verifySignedMessage({ signature, key, address, message }) {
+  let coseSign1;
+  let coseKey;
+  try {
+    coseSign1 = MS.COSESign1.from_bytes(Buffer.from(signature, 'hex'));
+    coseKey = MS.COSEKey.from_bytes(Buffer.from(key, 'hex'));
+  } catch (err) {
+    return { success: false, message: 'Malformed signature or key.' };
+  }
+
+  let claimed;
+  try {
+    claimed = CSL.Address.from_bech32(address);
+  } catch (err) {
+    return { success: false, message: 'Invalid wallet address.' };
+  }
+
+  // The signing key must be an Ed25519 OKP key
+  const crv = coseKey.header(COSE_KEY_CRV)?.as_int()?.as_i32();
+  const x = coseKey.header(COSE_KEY_X)?.as_bytes();
+  if (crv !== ED25519_CURVE || !x) {
+    return { success: false, message: 'Signing key is not an Ed25519 key.' };
+  }
+
+  let publicKey;
+  try {
+    publicKey = CSL.PublicKey.from_bytes(x);
+  } catch (err) {
+    return { success: false, message: 'Invalid public key.' };
+  }
+
+  // The address in the protected header must be the claimed address
+  let signedAddress;
+  try {
+    const protectedHeaders = coseSign1.headers().protected().deserialized_headers();
+    signedAddress = protectedHeaders.header(MS.Label.new_text('address'))?.as_bytes();
+  } catch (err) {
+    return { success: false, message: 'Malformed signature or key.' };
+  }
+  if (!signedAddress || Buffer.from(signedAddress).toString('hex') !== claimed.to_hex()) {
+    return { success: false, message: 'Signed address does not match the claimed wallet.' };
+  }
+
+  // The key must be the payment key (or stake key) of the claimed address
+  const paymentKeyHash = getPaymentKeyHash(claimed);
+  if (!paymentKeyHash || paymentKeyHash !== publicKey.hash().to_hex()) {
+    return { success: false, message: 'Signing key does not belong to the claimed wallet.' };
+  }
+
+  // The payload must be the exact message we issued
+  const payload = coseSign1.payload();
+  if (!payload || Buffer.from(payload).toString('utf8') !== message) {
+    return { success: false, message: 'Signed message does not match the verification challenge.' };
+  }
+
+  // Parsing throws on a signature of the wrong size
+  let valid;
+  try {
+    const signedData = coseSign1.signed_data().to_bytes();
+    const ed25519Signature = CSL.Ed25519Signature.from_bytes(coseSign1.signature());
+    valid = publicKey.verify(signedData, ed25519Signature);
+  } catch (err) {
+    return { success: false, message: 'Malformed signature or key.' };
+  }
+  if (!valid) {
+    return { success: false, message: 'Signature is invalid.' };
+  }
+
+  return { success: true, message: 'Signature verified successfully.' };
+}
@@ -0,0 +1,75 @@
+// Command line holder snapshots for airdrops and giveaways (see holder-snapshot.js)
+//   node snapshot-cli.js [--policy <label>] [--min <count>] [--role <name>] [--format csv|json]
+//       take a snapshot of the verified holders from roles.json and save it in snapshots/
+//   node snapshot-cli.js --from <snapshot> [--format csv|json]
+//       export a saved snapshot again (a name from snapshots/ or a path)
+//   --guild <id>   guild whose holders and rules are used (default GUILD_ID, see guild-config.js)
+// CSV exports are written next to the snapshot as snapshot-<date>.csv. Uses GUILD_ID, RULES_FILE and DATA_DIR from .env.
+import fs from 'fs/promises';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getGuildConfig, getGuildDataName, getPrimaryGuildId, loadGuildRules } from './guild-config.js';
+import { loadRolesData } from './role-sync.js';
+import {
+  SNAPSHOT_FORMATS, describeSnapshotFilters, formatSnapshot, loadSnapshot, saveSnapshot, takeSnapshot
+} from './holder-snapshot.js';
+import { getDataDir } from './storage.js';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const USAGE = 'Usage: node snapshot-cli.js [--guild <id>] [--policy <label>] [--min <count>] [--role <name>] [--format csv|json]\n' +
+  '       node snapshot-cli.js [--guild <id>] --from <snapshot> [--format csv|json]';
+const OPTIONS = ['--guild', '--policy', '--min', '--role', '--format', '--from'];
+
+// --name value pairs into { name: value }
+function parseArgs(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i += 2) {
+    if (!OPTIONS.includes(args[i]) || args[i + 1] === undefined) throw new Error(USAGE);
+    options[args[i].slice(2)] = args[i + 1];
+  }
+  return options;
+}
+
+async function main(args) {
+  const options = parseArgs(args);
+  const format = options.format || 'csv';
+  if (!SNAPSHOT_FORMATS.includes(format)) throw new Error(USAGE);
+  const guildId = options.guild || getPrimaryGuildId();
+
+  let snapshot;
+  let name;
+  if (options.from) {
+    snapshot = await loadSnapshot(options.from, guildId);
+    name = path.basename(options.from);
+    console.log(`📸 Loaded ${name}, taken ${snapshot.takenAt}`);
+  } else {
+    const config = await getGuildConfig(guildId);
+    if (!config) throw new Error(`Guild ${guildId} is not set up, give --guild or set GUILD_ID`);
+    const rules = await loadGuildRules(config, __dirname);
+    snapshot = await takeSnapshot(guildId, rules, await loadRolesData(guildId), {
+      policy: options.policy,
+      minCount: options.min === undefined ? null : Number(options.min),
+      role: options.role
+    });
+    name = await saveSnapshot(snapshot);
+    console.log(`💾 Saved ${getGuildDataName('snapshots', guildId)}/${name}`);
+  }
+  console.log(`📸 ${snapshot.holders.length} holders with ${describeSnapshotFilters(snapshot.filters)}`);
+
+  if (format === 'csv') {
+    const csvPath = path.join(getDataDir(), getGuildDataName('snapshots', snapshot.guildId), name.replace(/\.json$/, '.csv'));
+    await fs.mkdir(path.dirname(csvPath), { recursive: true });
+    await fs.writeFile(csvPath, formatSnapshot(snapshot, 'csv'));
+    console.log(`💾 CSV written to ${csvPath}`);
+  }
+}
+
+main(process.argv.slice(2)).catch(err => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
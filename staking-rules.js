@@ -0,0 +1,61 @@
+// Delegation and ADA balance rules for role-bot.js
+//
+// Rule types:
+//   { type: 'delegation', pools: ['pool1...'], minEpochs = 0, role }   a verified stake key is delegated to one of
+//                                                                       the pools, for at least minEpochs epochs
+//   { type: 'balance', minAda, role }                                  the verified wallets hold at least minAda ADA
+// Staking data is only fetched when the rules use one of these types. A member's staking data is
+//   { lovelace: BigInt, delegations: [{ stakeAddress, poolId, epochs }] }
+// where lovelace is the total of every verified wallet (stake keys include their rewards) and epochs counts the
+// epochs the stake has been active with the pool. Wallets verified without a stake key count for the balance only.
+export const STAKING_RULE_TYPES = ['delegation', 'balance'];
+
+const POOL_ID_PATTERN = /^pool1[02-9ac-hj-np-z]{51}$/;
+const LOVELACE_PER_ADA = 1000000;
+
+// Whether any rule needs staking data
+export function usesStakingRules(rules) {
+  return rules.rules.some(rule => STAKING_RULE_TYPES.includes(rule.type));
+}
+
+// Validate a delegation or balance rule, returning a list of problems
+export function validateStakingRule(rule, where) {
+  const errors = [];
+  if (rule.type === 'delegation') {
+    if (!Array.isArray(rule.pools) || rule.pools.length === 0) {
+      errors.push(`${where}: pools must be a non-empty list of pool IDs`);
+    } else {
+      for (const pool of rule.pools.filter(pool => !POOL_ID_PATTERN.test(pool))) {
+        errors.push(`${where}: "${pool}" is not a bech32 pool ID (pool1...)`);
+      }
+    }
+    if (rule.minEpochs !== undefined && !(Number.isInteger(rule.minEpochs) && rule.minEpochs >= 0)) {
+      errors.push(`${where}: minEpochs must be a whole number of 0 or more`);
+    }
+  }
+  if (rule.type === 'balance' && !(typeof rule.minAda === 'number' && rule.minAda > 0)) {
+    errors.push(`${where}: minAda must be a positive number`);
+  }
+  return errors;
+}
+
+// Epochs a delegation has been active, from the epoch it became active in (null when not known yet)
+export function getDelegationEpochs(sinceEpoch, currentEpoch) {
+  return sinceEpoch === null ? 0 : Math.max(0, currentEpoch - sinceEpoch);
+}
+
+export function lovelaceToAda(lovelace) {
+  return Number(lovelace) / LOVELACE_PER_ADA;
+}
+
+// Check whether a member's staking data satisfies a delegation or balance rule
+export function evaluateStakingRule(rule, staking) {
+  if (!staking) return false;
+  if (rule.type === 'delegation') {
+    return staking.delegations.some(d => rule.pools.includes(d.poolId) && d.epochs >= (rule.minEpochs ?? 0));
+  }
+  if (rule.type === 'balance') {
+    return staking.lovelace >= BigInt(Math.round(rule.minAda * LOVELACE_PER_ADA));
+  }
+  return false;
+}
@@ -0,0 +1,283 @@
+// Shared storage for the bots' data files (verified.json, roles.json, sessions.json, ...)
+//
+// Every store holds one JSON value, kept as a JSON file (default) or as a row of a SQLite database
+// (STORAGE_BACKEND=sqlite, needs the optional better-sqlite3 package; SQLITE_FILE, default bot-data.sqlite).
+// - Writes are atomic: a JSON file is written to a temporary file that is then renamed over the old one,
+//   so a crash never leaves a truncated file behind.
+// - Updates are serialized: in a process through a queue, and between the verify and role bots through
+//   a lock file next to the JSON file (or an immediate transaction with SQLite).
+// - Data is versioned: files are stored as { "version": n, "data": ... }. Files from before versioning count
+//   as version 0 and go through the store's migrations when first read; the old file is kept as <file>.v<n>.bak.
+//   With SQLite, a store's existing JSON file is imported the first time the store is used.
+// Data files live in DATA_DIR (default: the folder of the bots).
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const STORAGE_BACKENDS = ['json', 'sqlite'];
+
+const LOCK_TIMEOUT = 15 * 1000; // Give up waiting for another process after 15 seconds
+const STALE_LOCK_AGE = 60 * 1000; // A lock older than a minute was left behind by a crashed process
+const LOCK_RETRY_DELAY = 25;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export function getDataDir(env = process.env) {
+  return path.resolve(__dirname, env.DATA_DIR || '.');
+}
+
+function getBackendName(env = process.env) {
+  const backend = (env.STORAGE_BACKEND || 'json').toLowerCase();
+  if (!STORAGE_BACKENDS.includes(backend)) {
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}" (use ${STORAGE_BACKENDS.join(', ')})`);
+  }
+  return backend;
+}
+
+// Stored files are { version, data }; anything else was written before versioning
+function parseStored(text) {
+  if (text.trim() === '') return null;
+  const parsed = JSON.parse(text);
+  const isVersioned = parsed && typeof parsed === 'object' && !Array.isArray(parsed) &&
+    Number.isInteger(parsed.version) && 'data' in parsed && Object.keys(parsed).length === 2;
+  return isVersioned ? parsed : { version: 0, data: parsed };
+}
+
+// Bring stored data up to the store's version
+function migrate(store, stored) {
+  if (stored.version > store.version) {
+    throw new Error(`${store.name} has version ${stored.version}, newer than this bot supports (${store.version})`);
+  }
+  let data = stored.data;
+  for (let version = stored.version + 1; version <= store.version; version++) {
+    if (store.migrations[version]) data = store.migrations[version](data);
+  }
+  return data;
+}
+
+// Whether the process that wrote a lock file is gone
+function isLockOwnerGone(owner) {
+  const pid = parseInt(owner, 10);
+  if (!pid) return false;
+  try {
+    process.kill(pid, 0);
+    return false;
+  } catch (err) {
+    return err.code === 'ESRCH';
+  }
+}
+
+// Create <file>.lock exclusively, waiting for other holders; returns a function that releases it
+async function acquireLock(lockPath) {
+  const token = `${process.pid} ${crypto.randomBytes(6).toString('hex')}`;
+  const deadline = Date.now() + LOCK_TIMEOUT;
+  for (;;) {
+    try {
+      await fs.writeFile(lockPath, token, { flag: 'wx' });
+      break;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+
+    const [owner, stat] = await Promise.all([
+      fs.readFile(lockPath, 'utf-8').catch(() => ''),
+      fs.stat(lockPath).catch(() => null)
+    ]);
+    if (stat && (Date.now() - stat.mtimeMs > STALE_LOCK_AGE || isLockOwnerGone(owner))) {
+      console.warn(`⚠️ Removing stale lock ${path.basename(lockPath)}`);
+      await fs.rm(lockPath, { force: true });
+      continue;
+    }
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${path.basename(lockPath)}`);
+    await sleep(LOCK_RETRY_DELAY);
+  }
+
+  return async () => {
+    const owner = await fs.readFile(lockPath, 'utf-8').catch(() => null);
+    if (owner === token) await fs.rm(lockPath, { force: true });
+  };
+}
+
+function createJsonBackend(store) {
+  const filePath = path.join(store.dataDir, store.file);
+
+  async function readStored() {
+    try {
+      return parseStored(await fs.readFile(filePath, 'utf-8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw new Error(`Failed to read ${store.file}: ${err.message}`);
+    }
+  }
+
+  // Write to a temporary file first so readers only ever see a complete file
+  async function writeAtomic(data) {
+    const tmpPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    try {
+      const handle = await fs.open(tmpPath, 'w');
+      try {
+        await handle.writeFile(JSON.stringify({ version: store.version, data }, null, 2));
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      await fs.rename(tmpPath, filePath);
+    } catch (err) {
+      await fs.rm(tmpPath, { force: true });
+      throw new Error(`Failed to write ${store.file}: ${err.message}`);
+    }
+  }
+
+  // Keep the pre-migration file, once per old version
+  async function backup(version) {
+    try {
+      await fs.copyFile(filePath, `${filePath}.v${version}.bak`, fs.constants.COPYFILE_EXCL);
+      console.log(`💾 Migrating ${store.file} from version ${version} to ${store.version} (backup: ${store.file}.v${version}.bak)`);
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+  }
+
+  return {
+    // The store's data, plus whether the file still has to be migrated
+    async read() {
+      const stored = await readStored();
+      if (!stored) return { data: store.defaultValue(), outdated: false };
+      return { data: migrate(store, stored), outdated: stored.version < store.version };
+    },
+
+    async transact(change) {
+      const release = await acquireLock(`${filePath}.lock`);
+      try {
+        const stored = await readStored();
+        if (stored && stored.version < store.version) await backup(stored.version);
+        const { data, result } = change(stored ? migrate(store, stored) : store.defaultValue());
+        await writeAtomic(data);
+        return result;
+      } finally {
+        await release();
+      }
+    }
+  };
+}
+
+// One database shared by every store of the process
+let database;
+function openDatabase(dataDir) {
+  database ??= (async () => {
+    let Database;
+    try {
+      ({ default: Database } = await import('better-sqlite3'));
+    } catch (err) {
+      throw new Error(`STORAGE_BACKEND=sqlite needs the better-sqlite3 package (npm install better-sqlite3): ${err.message}`);
+    }
+    const db = new Database(path.join(dataDir, process.env.SQLITE_FILE || 'bot-data.sqlite'));
+    db.pragma('journal_mode = WAL');
+    db.pragma(`busy_timeout = ${LOCK_TIMEOUT}`);
+    db.exec(`CREATE TABLE IF NOT EXISTS stores (
+      name TEXT PRIMARY KEY,
+      version INTEGER NOT NULL,
+      data TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    )`);
+    return db;
+  })();
+  return database;
+}
+
+function createSqliteBackend(store) {
+  const jsonBackend = createJsonBackend(store);
+
+  async function getRow() {
+    const db = await openDatabase(store.dataDir);
+    return db.prepare('SELECT version, data FROM stores WHERE name = ?').get(store.name);
+  }
+
+  async function transact(change) {
+    const db = await openDatabase(store.dataDir);
+    // Import the JSON file the first time; read outside the transaction since that is async
+    const imported = (await getRow()) ? null : await jsonBackend.read();
+
+    const run = db.transaction(() => {
+      const row = db.prepare('SELECT version, data FROM stores WHERE name = ?').get(store.name);
+      const current = row
+        ? migrate(store, { version: row.version, data: JSON.parse(row.data) })
+        : imported?.data ?? store.defaultValue();
+      const { data, result } = change(current);
+      db.prepare(`INSERT INTO stores (name, version, data, updated_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT(name) DO UPDATE SET version = excluded.version, data = excluded.data, updated_at = excluded.updated_at`)
+        .run(store.name, store.version, JSON.stringify(data), new Date().toISOString());
+      return { result, created: !row };
+    });
+    // Immediate: take the write lock before reading so the other bot cannot update in between
+    const { result, created } = run.immediate();
+    if (created && imported) console.log(`💾 Imported ${store.file} into the ${store.name} store`);
+    return result;
+  }
+
+  return {
+    async read() {
+      const row = await getRow();
+      if (!row) return { data: (await jsonBackend.read()).data, outdated: true };
+      return { data: migrate(store, { version: row.version, data: JSON.parse(row.data) }), outdated: row.version < store.version };
+    },
+    transact
+  };
+}
+
+// Open a store. Options:
+//   file          JSON file name (default <name>.json), also the file imported into SQLite
+//   version       current schema version (default 1)
+//   migrations    { <version>: data => data } upgrading data from the previous version
+//   defaultValue  function returning the value of a store that does not exist yet (default {})
+// Returns { read(), update(fn), write(data) }. update(fn) runs fn(data) on the latest data and saves it;
+// fn changes data in place, must be synchronous, and its return value is returned by update().
+export function openStore(name, { file = `${name}.json`, version = 1, migrations = {}, defaultValue = () => ({}) } = {}) {
+  const store = { name, file, version, migrations, defaultValue, dataDir: null };
+  let backend;
+  let queue = Promise.resolve();
+
+  // The backend is picked on first use so importing a module that opens a store has no side effects
+  function getBackend() {
+    if (!backend) {
+      store.dataDir = getDataDir();
+      backend = getBackendName() === 'sqlite' ? createSqliteBackend(store) : createJsonBackend(store);
+    }
+    return backend;
+  }
+
+  function enqueue(change) {
+    const run = queue.then(() => getBackend().transact(change));
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return {
+    name,
+
+    async read() {
+      const { data, outdated } = await getBackend().read();
+      // Save migrated data right away so the old format does not linger
+      if (outdated) await enqueue(current => ({ data: current }));
+      return data;
+    },
+
+    update(fn) {
+      return enqueue(data => {
+        const result = fn(data);
+        if (result && typeof result.then === 'function') {
+          throw new Error(`Updates to the ${name} store must be synchronous`);
+        }
+        return { data, result };
+      });
+    },
+
+    write(data) {
+      return enqueue(() => ({ data }));
+    }
+  };
+}
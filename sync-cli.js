@@ -0,0 +1,56 @@
+// Command line role sync for previewing rule changes
+//   node sync-cli.js --dry-run        plan a full sync without changing any roles, print a summary and save
+//                                     the plan (the machine-readable diff) in plans/
+//   node sync-cli.js --apply <plan>   apply a saved plan (a name from plans/ or a path)
+//   --guild <id>                      guild to sync (default GUILD_ID), with the rules set for it (see guild-config.js)
+// Uses the same .env as role-bot.js (DISCORD_BOT_TOKEN, GUILD_ID, RULES_FILE and the chain provider settings)
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createChainProvider } from './chain-provider.js';
+import { createRestGuildAccess } from './guild-access.js';
+import { getGuildConfig, getPrimaryGuildId, hasRules } from './guild-config.js';
+import { formatPlanSummary, loadPlan, loadRoleSync, savePlan } from './role-sync.js';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const USAGE = 'Usage: node sync-cli.js [--guild <id>] --dry-run | --apply <plan>';
+
+async function main(args, guildId) {
+  const { DISCORD_BOT_TOKEN } = process.env;
+  if (!DISCORD_BOT_TOKEN || !guildId) throw new Error('DISCORD_BOT_TOKEN and GUILD_ID (or --guild) are required');
+  const config = await getGuildConfig(guildId);
+  if (!hasRules(config)) throw new Error(`Guild ${guildId} is not set up, set its rules with /setup rules`);
+  const guild = createRestGuildAccess({ token: DISCORD_BOT_TOKEN, guildId });
+  const roleSync = await loadRoleSync({ chain: createChainProvider(), config, baseDir: __dirname });
+
+  if (args[0] === '--apply') {
+    if (!args[1]) throw new Error(USAGE);
+    const results = await roleSync.applyPlan(await loadPlan(args[1], guildId), guild);
+    const added = results.reduce((sum, r) => sum + r.added.length, 0);
+    const removed = results.reduce((sum, r) => sum + r.removed.length, 0);
+    console.log(`✅ Applied ${args[1]}: ${added} roles added, ${removed} removed across ${results.length} members`);
+    return;
+  }
+
+  const plan = await roleSync.planSync(guild);
+  const name = await savePlan(plan);
+  console.log(`\n${formatPlanSummary(plan)}`);
+  console.log(`\n💾 Saved as plans/${name}. Apply it with: node sync-cli.js --apply ${name}`);
+}
+
+const args = process.argv.slice(2);
+let guildId = getPrimaryGuildId();
+const guildIndex = args.indexOf('--guild');
+if (guildIndex !== -1) [, guildId] = args.splice(guildIndex, 2);
+if (args[0] !== '--dry-run' && args[0] !== '--apply') {
+  console.error(USAGE);
+  process.exit(1);
+}
+main(args, guildId).catch(err => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,178 @@
+// /admin: what admins may change, checked before anything is saved
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleAdminCommand } from '../admin-commands.js';
+import { getBlockReason, loadOverrides } from '../admin-store.js';
+import { loadVerifiedData, updateVerifiedData } from '../verified-store.js';
+import { loadFlaggedClaims } from '../wallet-ownership.js';
+import { baseAddress, OTHER_KEY } from './helpers/cip30-wallet.js';
+import { createFakeGuild, createInteraction } from './helpers/fake-discord.js';
+import { loadFixture, useTempDataDir } from './helpers/fixtures.js';
+
+const GUILD_ID = '700000000000000004';
+const MODERATOR = '100000000000000004';
+const MEMBER = '100000000000000005';
+// Verified the fixture wallet; a member of another guild only
+const OWNER = '100000000000000006';
+
+let dataDir;
+let guild;
+let synced;
+let syncedEverywhere;
+let appliedPlans;
+let wallet;
+
+before(async () => {
+  dataDir = await useTempDataDir();
+  guild = createFakeGuild(GUILD_ID, {
+    roles: ['Mfer', 'Moderator', 'Admin'],
+    members: [{ id: MODERATOR, name: 'mod', roles: ['Moderator'] }, { id: MEMBER, name: 'member' }]
+  });
+  ({ address: wallet } = await loadFixture('signature.json'));
+  await updateVerifiedData(data => {
+    data[OWNER] = [{ address: wallet, verifiedAt: new Date().toISOString(), primary: true }];
+  });
+});
+
+after(() => dataDir.cleanup());
+
+// Run /admin in the guild as the moderator; returns the replies
+async function admin(subcommandGroup, subcommand, options, { isPrimaryGuild = false } = {}) {
+  const interaction = createInteraction({
+    commandName: 'admin',
+    userId: MODERATOR,
+    guildId: GUILD_ID,
+    subcommandGroup,
+    subcommand,
+    options,
+    member: guild.interactionMember(MODERATOR)
+  });
+  synced = [];
+  syncedEverywhere = [];
+  appliedPlans = [];
+  await handleAdminCommand(interaction, {
+    guildId: GUILD_ID,
+    isPrimaryGuild,
+    isMember: async discordId => Boolean(await guild.members.fetch(discordId).catch(() => null)),
+    syncMember: async discordId => {
+      synced.push(discordId);
+      return null;
+    },
+    syncMemberEverywhere: async discordId => {
+      syncedEverywhere.push(discordId);
+      return [];
+    },
+    applyPlan: async name => {
+      appliedPlans.push(name);
+      return [];
+    }
+  });
+  return interaction.replies;
+}
+
+const user = { id: MEMBER };
+
+test('roles below the admin\'s highest role can be overrides', async () => {
+  const [reply] = await admin('override', 'add', { user, role: guild.roleNamed('Mfer') });
+  assert.match(reply, /Added override \*\*Mfer\*\*/);
+  assert.deepEqual((await loadOverrides(GUILD_ID))[MEMBER], ['Mfer']);
+  assert.deepEqual(synced, [MEMBER]);
+});
+
+test('roles at or above the admin\'s highest role are refused', async () => {
+  for (const name of ['Moderator', 'Admin']) {
+    const [reply] = await admin('override', 'add', { user, role: guild.roleNamed(name) });
+    assert.equal(reply, `❌ **${name}** is not below your highest role, so you can't grant it as an override.`);
+  }
+  assert.deepEqual((await loadOverrides(GUILD_ID))[MEMBER], ['Mfer']);
+  assert.deepEqual(synced, []);
+});
+
+test('@everyone and integration roles are refused', async () => {
+  const everyone = { id: GUILD_ID, name: '@everyone', position: 0, managed: false };
+  assert.deepEqual(await admin('override', 'add', { user, role: everyone }), ['❌ @everyone can\'t be an override.']);
+
+  const botRole = { id: `${GUILD_ID}-bot`, name: 'Some Bot', position: 0, managed: true };
+  assert.deepEqual(await admin('override', 'add', { user, role: botRole }), [
+    '❌ **Some Bot** is managed by an integration and can\'t be an override.'
+  ]);
+});
+
+test('any override can be removed', async () => {
+  const [reply] = await admin('override', 'remove', { user, role: guild.roleNamed('Mfer') });
+  assert.match(reply, /Removed override \*\*Mfer\*\*/);
+  assert.equal((await loadOverrides(GUILD_ID))[MEMBER], undefined);
+});
+
+test('plans are only applied from the guild\'s plans folder', async () => {
+  await admin('plan', 'apply', { name: '../../roles.json' });
+  assert.deepEqual(appliedPlans, ['roles.json']);
+});
+
+test('outside the primary guild, admins only manage their own members', async () => {
+  const outsider = { id: OWNER };
+  for (const subcommand of ['lookup', 'history', 'unlink']) {
+    assert.deepEqual(await admin(null, subcommand, { user: outsider, wallet }), [`⛔ <@${OWNER}> is not a member of this server.`]);
+  }
+  assert.equal((await loadVerifiedData())[OWNER].length, 1);
+});
+
+test('outside the primary guild, the blocklist and flagged claims are off limits', async () => {
+  for (const subcommand of ['block', 'flagged']) {
+    const [reply] = await admin(null, subcommand, { user });
+    assert.match(reply, /only admins of the main server/);
+  }
+  assert.equal(await getBlockReason(MEMBER, null, null), null);
+});
+
+test('outside the primary guild, taking a wallet from its owner is flagged instead', async () => {
+  const [reply] = await admin(null, 'link', { user, wallet });
+  assert.match(reply, /flagged/);
+  assert.equal((await loadVerifiedData())[MEMBER], undefined);
+  assert.equal((await loadVerifiedData())[OWNER][0].address, wallet);
+  const [claim] = await loadFlaggedClaims();
+  assert.equal(claim.claimant, MEMBER);
+  assert.equal(claim.requestedBy, MODERATOR);
+  assert.deepEqual(claim.owners, [OWNER]);
+  assert.deepEqual(synced, []);
+});
+
+test('outside the primary guild, linking an unclaimed wallet is flagged as well', async () => {
+  const unclaimed = baseAddress(OTHER_KEY, OTHER_KEY);
+  const [reply] = await admin(null, 'link', { user, wallet: unclaimed });
+  assert.match(reply, /flagged/);
+  assert.equal((await loadVerifiedData())[MEMBER], undefined);
+  const claim = (await loadFlaggedClaims()).at(-1);
+  assert.equal(claim.address, unclaimed);
+  assert.equal(claim.claimant, MEMBER);
+  assert.deepEqual(claim.owners, []);
+  assert.deepEqual([...synced, ...syncedEverywhere], []);
+});
+
+test('admins of the primary guild can move a wallet', async () => {
+  const [reply] = await admin(null, 'link', { user, wallet }, { isPrimaryGuild: true });
+  assert.match(reply, new RegExp(`Moved from: <@${OWNER}>`));
+  assert.equal((await loadVerifiedData())[MEMBER][0].address, wallet);
+  assert.deepEqual(syncedEverywhere, [MEMBER, OWNER]);
+  const [flaggedReply] = await admin(null, 'flagged', {}, { isPrimaryGuild: true });
+  assert.match(flaggedReply, new RegExp(`link to <@${MEMBER}> asked by <@${MODERATOR}>`));
+});
+
+test('outside the primary guild, unlinking a wallet is flagged instead', async () => {
+  const [reply] = await admin(null, 'unlink', { user, wallet });
+  assert.match(reply, /flagged/);
+  assert.equal((await loadVerifiedData())[MEMBER][0].address, wallet);
+  const claim = (await loadFlaggedClaims()).at(-1);
+  assert.equal(claim.action, 'unlink');
+  assert.deepEqual(claim.owners, [MEMBER]);
+  assert.deepEqual([...synced, ...syncedEverywhere], []);
+  const [flaggedReply] = await admin(null, 'flagged', {}, { isPrimaryGuild: true });
+  assert.match(flaggedReply, new RegExp(`unlink from <@${MEMBER}> asked by <@${MODERATOR}>`));
+});
+
+test('admins of the primary guild can unlink a wallet, re-syncing the member in every server', async () => {
+  const [reply] = await admin(null, 'unlink', { user, wallet }, { isPrimaryGuild: true });
+  assert.match(reply, /Unlinked/);
+  assert.equal((await loadVerifiedData())[MEMBER], undefined);
+  assert.deepEqual(syncedEverywhere, [MEMBER]);
+});
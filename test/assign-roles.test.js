@@ -0,0 +1,174 @@
+// assignRoles(): full guild syncs on a simulated guild, with the removal grace period and chain failures
+import { after, afterEach, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRoleBot } from '../role-bot.js';
+import { updateVerifiedData } from '../verified-store.js';
+import { loadRolesData } from '../role-sync.js';
+import { createClientGuildAccess } from '../guild-access.js';
+import { createFakeClient, createFakeGuild } from './helpers/fake-discord.js';
+import { createFakeChain } from './helpers/fake-chain.js';
+import { loadFixture, useTempDataDir } from './helpers/fixtures.js';
+
+const GUILD_ID = '700000000000000002';
+const OTWO = '3bcc312ebe7cd9281ab3e3d641bf70f207012e539b0e6e7c3f1560d7';
+const FORMER_HOLDER = '100000000000000003';
+const GRACE_HOURS = process.env.ROLE_REMOVAL_GRACE_HOURS;
+
+let dataDir;
+let chain;
+let client;
+let guild;
+let roleBot;
+let holder;
+
+before(async () => {
+  dataDir = await useTempDataDir();
+  const signature = await loadFixture('signature.json');
+  holder = signature.discordId;
+  chain = await createFakeChain(dataDir.dir, await loadFixture('chain.json'));
+  await updateVerifiedData(data => {
+    data[holder] = [{ address: signature.address, stakeAddress: signature.stakeAddress, stakeVerified: true, verifiedAt: new Date().toISOString(), primary: true }];
+  });
+
+  guild = createFakeGuild(GUILD_ID, {
+    roles: ['Mfer', 'Impressive Mfer', 'Fancy Mfer', 'Sicario', 'Coin Holder', 'Coin Whale', 'Green Stamp', 'Moderator'],
+    members: [
+      // Was a Fancy Mfer, now holds 3
+      { id: holder, name: 'mfer', roles: ['Fancy Mfer', 'Moderator'] },
+      // Kept a role after unlinking their wallet
+      { id: FORMER_HOLDER, name: 'seller', roles: ['Mfer', 'Moderator'] }
+    ]
+  });
+  client = createFakeClient([guild]);
+  roleBot = createRoleBot({ chain, client, env: {} });
+});
+
+after(() => dataDir.cleanup());
+
+afterEach(() => {
+  if (GRACE_HOURS === undefined) delete process.env.ROLE_REMOVAL_GRACE_HOURS;
+  else process.env.ROLE_REMOVAL_GRACE_HOURS = GRACE_HOURS;
+});
+
+test('a guild without rules only gets /setup', async () => {
+  const other = createFakeGuild('700000000000000003');
+  const bot = createRoleBot({ chain, client: createFakeClient([other]), env: {} });
+  assert.equal(await bot.initGuild(other.id, null), null);
+  assert.equal(bot.guilds.has(other.id), false);
+});
+
+test('roles stay as they are when the holdings cannot be fetched', async () => {
+  chain.failNext('getWalletState', 500);
+  const rules = await loadFixture('rules.json');
+  assert.equal(await roleBot.initGuild(GUILD_ID, { guildId: GUILD_ID, rules, syncIntervalHours: 0, auditChannelId: null }), null);
+  assert.deepEqual(client.registeredCommands[GUILD_ID].sort(), ['admin', 'getrole', 'holdings', 'leaderboard', 'setup']);
+  // Loading the rules started the sync; a second request waits for it instead of queueing another
+  assert.equal(roleBot.assignRoles(GUILD_ID), roleBot.assignRoles(GUILD_ID));
+  await roleBot.assignRoles(GUILD_ID);
+
+  assert.deepEqual(guild.roleNamesOf(holder), ['Fancy Mfer', 'Moderator']);
+});
+
+test('earned roles are added at once, lost roles after the grace period', async () => {
+  process.env.ROLE_REMOVAL_GRACE_HOURS = '24';
+  await roleBot.assignRoles(GUILD_ID);
+  assert.deepEqual(guild.roleNamesOf(holder), ['Coin Holder', 'Fancy Mfer', 'Green Stamp', 'Impressive Mfer', 'Moderator', 'Sicario']);
+  assert.deepEqual(guild.roleNamesOf(FORMER_HOLDER), ['Mfer', 'Moderator']);
+
+  process.env.ROLE_REMOVAL_GRACE_HOURS = '0';
+  await roleBot.assignRoles(GUILD_ID);
+  assert.deepEqual(guild.roleNamesOf(holder), ['Coin Holder', 'Green Stamp', 'Impressive Mfer', 'Moderator', 'Sicario']);
+  // Roles the rules do not grant are never touched
+  assert.deepEqual(guild.roleNamesOf(FORMER_HOLDER), ['Moderator']);
+});
+
+test('roles follow the wallet when its holdings change', async () => {
+  process.env.ROLE_REMOVAL_GRACE_HOURS = '0';
+  await chain.update(recorded => {
+    for (const [key, amounts] of Object.entries(recorded.accounts)) {
+      recorded.accounts[key] = amounts.filter(amount => !amount.unit.endsWith('434f494e'));
+    }
+  });
+  // A single-member sync checks the wallet again instead of trusting the holdings cache
+  await roleBot.syncSingleMember(GUILD_ID, holder);
+  assert.deepEqual(guild.roleNamesOf(holder), ['Impressive Mfer', 'Green Stamp', 'Moderator', 'Sicario'].sort());
+});
+
+test('re-sync requests need the secret, or come from this host', async () => {
+  const request = (bot, remoteAddress, headers = {}) => {
+    const res = { writeHead(status) { this.status = status; }, end() {} };
+    bot.server.emit('request', { method: 'POST', url: `/sync/${holder}`, headers, socket: { remoteAddress } }, res);
+    return res.status;
+  };
+  assert.equal(request(roleBot, '203.0.113.7'), 401);
+  assert.equal(request(roleBot, '::ffff:127.0.0.1'), 202);
+
+  const withSecret = createRoleBot({ chain, client: createFakeClient([guild]), env: { SYNC_SECRET: 'hunter2' } });
+  await withSecret.initGuild(GUILD_ID, { guildId: GUILD_ID, rules: await loadFixture('rules.json'), syncIntervalHours: 0, auditChannelId: null });
+  await withSecret.assignRoles(GUILD_ID);
+  assert.equal(request(withSecret, '127.0.0.1'), 401);
+  assert.equal(request(withSecret, '203.0.113.7', { 'x-sync-secret': 'hunter2' }), 202);
+  // Let the queued syncs finish
+  await withSecret.syncSingleMember(GUILD_ID, holder);
+  await roleBot.syncSingleMember(GUILD_ID, holder);
+});
+
+test('a saved plan only updates the entries of the members it changes', async () => {
+  process.env.ROLE_REMOVAL_GRACE_HOURS = '0';
+  const { roleSync } = roleBot.guilds.get(GUILD_ID);
+  const access = createClientGuildAccess(guild);
+  await (await guild.members.fetch(FORMER_HOLDER)).roles.add(guild.roleNamed('Mfer').id);
+  const plan = await roleSync.planSync(access);
+  assert.deepEqual(plan.changes.map(change => change.discordId), [FORMER_HOLDER]);
+
+  // The holder bought coins after the plan was made, and /getrole picked them up
+  await chain.update(recorded => {
+    for (const amounts of Object.values(recorded.accounts)) {
+      amounts.push({ unit: '13f58336e1e11cea3ee956e0311a4ab81fc53de79400b0e019bff5c5434f494e', quantity: '12000000' });
+    }
+  });
+  await roleBot.syncSingleMember(GUILD_ID, holder);
+  const synced = (await loadRolesData(GUILD_ID))[holder];
+  assert.equal(synced.assets.coins.quantity, '12');
+
+  await roleSync.applyPlan(plan, access);
+  assert.deepEqual(guild.roleNamesOf(FORMER_HOLDER), ['Moderator']);
+  assert.deepEqual((await loadRolesData(GUILD_ID))[holder], synced);
+});
+
+test('roles stay as they are when the metadata of a held asset cannot be fetched', async () => {
+  process.env.ROLE_REMOVAL_GRACE_HOURS = '0';
+  const roles = guild.roleNamesOf(holder);
+  // A third otwo arrives, and the first lookup of its metadata fails
+  await chain.update(recorded => {
+    for (const amounts of Object.values(recorded.accounts)) amounts.push({ unit: `${OTWO}4d66657230323033`, quantity: '1' });
+  });
+  chain.failNext('getAssetMetadata', 500);
+  assert.equal((await roleBot.syncSingleMember(GUILD_ID, holder)).entry, null);
+  assert.deepEqual(guild.roleNamesOf(holder), roles);
+
+  // The failure was not remembered: the next sync looks the metadata up again
+  const { entry } = await roleBot.syncSingleMember(GUILD_ID, holder);
+  assert.equal(entry.assets.otwo.count, 3);
+  assert.ok(guild.roleNamesOf(holder).includes('Fancy Mfer'));
+});
+
+test('syncMemberEverywhere reports the guilds where a sync failed', async () => {
+  chain.failNext('getWalletState', 500);
+  assert.deepEqual(await roleBot.syncMemberEverywhere(holder), [GUILD_ID]);
+  assert.deepEqual(await roleBot.syncMemberEverywhere(holder), []);
+});
+
+test('unknown staking data is not counted as a failed sync', async () => {
+  const rules = await loadFixture('rules.json');
+  rules.rules.push({ type: 'balance', minAda: 1, role: 'Coin Whale' });
+  const bot = createRoleBot({ chain, client: createFakeClient([guild]), env: {} });
+  await bot.initGuild(GUILD_ID, { guildId: GUILD_ID, rules, syncIntervalHours: 0, auditChannelId: null });
+  await bot.assignRoles(GUILD_ID);
+
+  // The recorded chain has no stake account data or epoch, so the holder's stake key can't be looked up
+  assert.equal((await bot.syncSingleMember(GUILD_ID, holder)).unknown, 'staking');
+  assert.deepEqual(await bot.syncMemberEverywhere(holder), []);
+  // Without a stake key there is nothing to look up
+  assert.equal((await bot.syncSingleMember(GUILD_ID, FORMER_HOLDER)).unknown, null);
+});
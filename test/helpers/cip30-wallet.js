@@ -0,0 +1,31 @@
+// signData the way a CIP-30 wallet does it, with the throwaway keys fixtures/signature.json was signed with:
+// a COSE_Sign1 over the message with the address in the protected header, and a COSE_Key with the public key
+import CSL from '@emurgo/cardano-serialization-lib-nodejs';
+import MS from '@emurgo/cardano-message-signing-nodejs';
+
+// Seeds of the keys: 1 is the payment key of the fixture address, 2 its stake key, 3 an unrelated wallet
+export const PAYMENT_KEY = CSL.PrivateKey.from_normal_bytes(Buffer.alloc(32, 1));
+export const STAKE_KEY = CSL.PrivateKey.from_normal_bytes(Buffer.alloc(32, 2));
+export const OTHER_KEY = CSL.PrivateKey.from_normal_bytes(Buffer.alloc(32, 3));
+
+// Sign message for a bech32 address (payment or reward address) with privateKey; returns { signature, key } as hex
+export function signData(privateKey, address, message) {
+  const protectedHeaders = MS.HeaderMap.new();
+  protectedHeaders.set_algorithm_id(MS.Label.from_algorithm_id(MS.AlgorithmId.EdDSA));
+  protectedHeaders.set_header(MS.Label.new_text('address'), MS.CBORValue.new_bytes(CSL.Address.from_bech32(address).to_bytes()));
+  const headers = MS.Headers.new(MS.ProtectedHeaderMap.new(protectedHeaders), MS.HeaderMap.new());
+  const builder = MS.COSESign1Builder.new(headers, Buffer.from(message), false);
+  const signed = builder.build(privateKey.sign(builder.make_data_to_sign().to_bytes()).to_bytes());
+
+  const key = MS.COSEKey.new(MS.Label.from_key_type(MS.KeyType.OKP));
+  key.set_algorithm_id(MS.Label.from_algorithm_id(MS.AlgorithmId.EdDSA));
+  key.set_header(MS.Label.new_int(MS.Int.new_negative(MS.BigNum.from_str('1'))), MS.CBORValue.new_int(MS.Int.new_i32(6)));
+  key.set_header(MS.Label.new_int(MS.Int.new_negative(MS.BigNum.from_str('2'))), MS.CBORValue.new_bytes(privateKey.to_public().as_bytes()));
+  return { signature: Buffer.from(signed.to_bytes()).toString('hex'), key: Buffer.from(key.to_bytes()).toString('hex') };
+}
+
+// Mainnet base address of a payment key and a stake key, e.g. someone's own payment key on another's stake key
+export function baseAddress(paymentKey, stakeKey) {
+  const credential = key => CSL.Credential.from_keyhash(key.to_public().hash());
+  return CSL.BaseAddress.new(1, credential(paymentKey), credential(stakeKey)).to_address().to_bech32();
+}
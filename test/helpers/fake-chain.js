@@ -0,0 +1,40 @@
+// Recorded chain responses for the tests: the file-backed provider of chain-provider.js, on a copy of a fixture in a
+// temporary folder, with failures that can be queued per method to exercise the error handling
+import fs from 'fs/promises';
+import path from 'path';
+import { ChainProviderError, createFakeProvider } from '../../chain-provider.js';
+
+// Create a provider on data (the layout of fake-chain.example.json) written to dir. Besides the provider methods:
+//   update(fn)                      change the recorded data, e.g. add a transaction once a challenge amount is known
+//   failNext(method, ...statuses)   make the next calls of a method fail with these HTTP statuses
+//   calls                           number of calls per method
+export async function createFakeChain(dir, data) {
+  const file = path.join(dir, 'fake-chain.json');
+  await fs.writeFile(file, JSON.stringify(data));
+  const provider = createFakeProvider({ network: 'mainnet', file });
+  const failures = {};
+  const calls = {};
+
+  const chain = { ...provider };
+  for (const [name, method] of Object.entries(provider)) {
+    if (typeof method !== 'function') continue;
+    chain[name] = async (...args) => {
+      calls[name] = (calls[name] || 0) + 1;
+      const status = failures[name]?.shift();
+      if (status) throw new ChainProviderError(`Recorded ${status} response for ${name}`, status);
+      return method(...args);
+    };
+  }
+
+  return Object.assign(chain, {
+    calls,
+    failNext(method, ...statuses) {
+      (failures[method] ||= []).push(...statuses);
+    },
+    async update(fn) {
+      const recorded = JSON.parse(await fs.readFile(file, 'utf-8'));
+      fn(recorded);
+      await fs.writeFile(file, JSON.stringify(recorded));
+    }
+  });
+}
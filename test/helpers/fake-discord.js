@@ -0,0 +1,126 @@
+// Simulated Discord for the tests: a client whose guilds, roles and members live in memory, and slash command
+// interactions that record their replies
+import { EventEmitter } from 'events';
+import { Collection, InteractionType } from 'discord.js';
+
+// A guild with the given role names, lowest first, and members ({ id, name, roles: [role name] })
+export function createFakeGuild(id, { roles = [], members = [] } = {}) {
+  const guildRoles = new Collection(roles.map((name, i) => [`${id}-role-${i + 1}`, { id: `${id}-role-${i + 1}`, name, position: i + 1, managed: false }]));
+  const roleByName = name => guildRoles.find(role => role.name === name);
+
+  function createMember({ id: memberId, name, roles: roleNames = [] }) {
+    const cache = new Collection(roleNames.map(roleByName).map(role => [role.id, role]));
+    return {
+      id: memberId,
+      user: { id: memberId, username: name },
+      roles: {
+        cache,
+        async add(roleId) {
+          cache.set(roleId, guildRoles.get(roleId));
+        },
+        async remove(roleId) {
+          cache.delete(roleId);
+        }
+      }
+    };
+  }
+  const guildMembers = new Collection(members.map(member => [member.id, createMember(member)]));
+
+  return {
+    id,
+    name: `Guild ${id}`,
+    roles: {
+      fetch: async () => guildRoles
+    },
+    members: {
+      async fetch(memberId) {
+        if (memberId === undefined) return guildMembers;
+        const member = guildMembers.get(memberId);
+        if (!member) throw Object.assign(new Error('Unknown Member'), { status: 404 });
+        return member;
+      }
+    },
+    // Role names a member has right now, sorted
+    roleNamesOf(memberId) {
+      return guildMembers.get(memberId).roles.cache.map(role => role.name).sort();
+    },
+    // A role by name, as role options resolve it
+    roleNamed: roleByName,
+    // The member as interactions carry it, with their highest role
+    interactionMember(memberId) {
+      const { cache } = guildMembers.get(memberId).roles;
+      return { id: memberId, roles: { cache, highest: cache.reduce((top, role) => (role.position > top.position ? role : top), { position: 0 }) } };
+    }
+  };
+}
+
+// A client in the given guilds; commands.set() records the names of the commands registered per guild
+export function createFakeClient(guilds = []) {
+  const client = new EventEmitter();
+  const cache = new Collection(guilds.map(guild => [guild.id, guild]));
+  client.user = { id: '900000000000000000', tag: 'Test Bot#0000' };
+  // Not logged in, so nothing is posted to audit channels
+  client.isReady = () => false;
+  client.guilds = {
+    cache,
+    async fetch(guildId) {
+      if (guildId === undefined) return cache;
+      const guild = cache.get(guildId);
+      if (!guild) throw Object.assign(new Error('Unknown Guild'), { status: 404 });
+      return guild;
+    }
+  };
+  client.registeredCommands = {};
+  client.application = {
+    commands: {
+      async set(commands, guildId) {
+        client.registeredCommands[guildId] = commands.map(command => command.name);
+      }
+    }
+  };
+  return client;
+}
+
+// A slash command interaction; every reply, edit and follow-up is kept in replies as its text. member is what
+// guild.interactionMember() returns
+export function createInteraction({
+  commandName, userId, guildId = null, subcommand = null, subcommandGroup = null, options = {}, member = null
+}) {
+  const replies = [];
+  const record = reply => replies.push(typeof reply === 'string' ? reply : reply.content);
+
+  return {
+    type: InteractionType.ApplicationCommand,
+    commandName,
+    guildId,
+    user: { id: userId, username: `user-${userId}`, tag: `user-${userId}#0000` },
+    member,
+    memberPermissions: { has: () => true },
+    deferred: false,
+    replied: false,
+    replies,
+    isChatInputCommand: () => true,
+    options: {
+      getSubcommand: () => subcommand,
+      getSubcommandGroup: () => subcommandGroup,
+      getString: name => options[name] ?? null,
+      getInteger: name => options[name] ?? null,
+      getUser: name => options[name] ?? null,
+      getRole: name => options[name] ?? null,
+      getFocused: () => ''
+    },
+    async reply(reply) {
+      this.replied = true;
+      record(reply);
+    },
+    async deferReply() {
+      this.deferred = true;
+    },
+    async editReply(reply) {
+      record(reply);
+    },
+    async followUp(reply) {
+      record(reply);
+    }
+  };
+}
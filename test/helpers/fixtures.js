@@ -0,0 +1,17 @@
+// Fixtures and data folders for the tests
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Read a JSON fixture from test/fixtures
+export async function loadFixture(name) {
+  return JSON.parse(await fs.readFile(new URL(`../fixtures/${name}`, import.meta.url), 'utf-8'));
+}
+
+// Point DATA_DIR at a new temporary folder; stores pick their folder on first use, so call this before using any.
+// Returns the folder and a function that deletes it
+export async function useTempDataDir() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mfer-bots-test-'));
+  process.env.DATA_DIR = dir;
+  return { dir, cleanup: () => fs.rm(dir, { recursive: true, force: true }) };
+}
@@ -0,0 +1,5 @@
+// Loaded into every test process by `npm test` (--import). The bots log a lot with console.log, and Node 20's test
+// runner reads its own messages from the same stdout: now and then the two get mixed up and the runner fails the file
+// with "Unable to deserialize cloned data". On stderr the logs still show, without getting in the way.
+console.log = console.error;
+console.info = console.error;
@@ -0,0 +1,97 @@
+// The policy watcher: re-syncing members whose watched assets moved, and retrying blocks whose syncs failed
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPolicyWatcher } from '../policy-watcher.js';
+import { updateVerifiedData } from '../verified-store.js';
+import { createFakeChain } from './helpers/fake-chain.js';
+import { OTHER_KEY, STAKE_KEY, baseAddress } from './helpers/cip30-wallet.js';
+import { loadFixture, useTempDataDir } from './helpers/fixtures.js';
+
+const OTWO = '3bcc312ebe7cd9281ab3e3d641bf70f207012e539b0e6e7c3f1560d7';
+// Linked an address of their own payment key on the holder's stake key, without signing for the stake key
+const NEIGHBOUR = '100000000000000008';
+
+let dataDir;
+let chain;
+let holder;
+let wallet;
+let neighbourWallet;
+
+before(async () => {
+  dataDir = await useTempDataDir();
+  const signature = await loadFixture('signature.json');
+  holder = signature.discordId;
+  wallet = signature.address;
+  chain = await createFakeChain(dataDir.dir, { ...(await loadFixture('chain.json')), blocks: [{ height: 1, hash: 'b1' }] });
+  neighbourWallet = baseAddress(OTHER_KEY, STAKE_KEY);
+  await updateVerifiedData(data => {
+    data[holder] = [{ address: wallet, stakeAddress: signature.stakeAddress, stakeVerified: true, verifiedAt: new Date().toISOString(), primary: true }];
+    data[NEIGHBOUR] = [{ address: neighbourWallet, stakeAddress: signature.stakeAddress, verifiedAt: new Date().toISOString(), primary: true }];
+  });
+});
+
+after(() => dataDir.cleanup());
+
+// Record a block in which an otwo NFT arrives at an address, followed by an empty block
+async function recordTransfer(height, address) {
+  const txHash = height.toString(16).padStart(64, '0');
+  await chain.update(recorded => {
+    recorded.txs[txHash] = {
+      block_time: Math.floor(Date.now() / 1000),
+      inputs: [],
+      outputs: [{ address, amount: [{ unit: `${OTWO}4d66657230323033`, quantity: '1' }] }]
+    };
+    recorded.blocks.push({ height, hash: `b${height}`, addresses: [{ address, txHashes: [txHash] }] }, { height: height + 1, hash: `b${height + 1}` });
+  });
+}
+
+// A watcher on the otwo policy; sync(discordIds) stands in for the member syncs and returns those that failed
+function createWatcher(sync, options = {}) {
+  const syncs = [];
+  const watcher = createPolicyWatcher({
+    chain,
+    getPolicyIds: () => [OTWO],
+    confirmations: 0,
+    onMembersChanged: async discordIds => {
+      syncs.push([...discordIds].sort());
+      return sync(discordIds);
+    },
+    ...options
+  });
+  return { ...watcher, syncs };
+}
+
+test('a block is processed again until the syncs of its members succeed', async () => {
+  let failing = true;
+  const watcher = createWatcher(discordIds => (failing ? discordIds : []));
+  // The first poll only sets the checkpoint
+  assert.deepEqual(await watcher.poll(), []);
+
+  await recordTransfer(2, wallet);
+  assert.deepEqual(await watcher.poll(), [holder]);
+  assert.deepEqual(await watcher.poll(), [holder]);
+  failing = false;
+  assert.deepEqual(await watcher.poll(), [holder]);
+  assert.deepEqual(watcher.syncs, [[holder], [holder], [holder]]);
+  // Nothing left to do
+  assert.deepEqual(await watcher.poll(), []);
+});
+
+test('members are found by their address, or by a stake key they signed for', async () => {
+  const watcher = createWatcher(() => []);
+  await recordTransfer(4, wallet);
+  await recordTransfer(6, neighbourWallet);
+  await watcher.poll();
+  // The neighbour's address shares the holder's stake key, but only the holder proved it
+  assert.deepEqual(watcher.syncs, [[holder], [holder, NEIGHBOUR]]);
+});
+
+test('only failed syncs are retried, and only up to maxAttempts times', async () => {
+  const watcher = createWatcher(discordIds => discordIds.filter(id => id === NEIGHBOUR), { maxAttempts: 3 });
+  await recordTransfer(8, neighbourWallet);
+  for (let attempt = 1; attempt <= 3; attempt++) await watcher.poll();
+  assert.deepEqual(watcher.syncs, [[holder, NEIGHBOUR], [NEIGHBOUR], [NEIGHBOUR]]);
+  // Given up on: the watcher moved past the block, the full sync takes care of the neighbour
+  assert.deepEqual(await watcher.poll(), []);
+  assert.equal(watcher.syncs.length, 3);
+});
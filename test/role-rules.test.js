@@ -0,0 +1,107 @@
+// Tier and holds rules, rule validation and CIP-68 asset names
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  evaluateRules, formatQuantity, getManagedRoleNames, getTierProgress, getTierRole, groupByPolicy, parseRules, validateRules
+} from '../role-rules.js';
+import { decodeAssetName } from '../asset-names.js';
+import { loadFixture } from './helpers/fixtures.js';
+
+const rules = parseRules(await loadFixture('rules.json'));
+const { otwo, mx, coins } = rules.policies;
+const [mferTiers] = rules.rules;
+
+function asset(policyId, name, quantity = 1n) {
+  return { policy_id: policyId, asset_name: name, quantity };
+}
+
+function roles(assets) {
+  return evaluateRules(rules, groupByPolicy(rules, assets), {}).sort();
+}
+
+test('getTierRole picks the highest tier reached', () => {
+  assert.equal(getTierRole(0, mferTiers.tiers), null);
+  assert.equal(getTierRole(1, mferTiers.tiers), 'Mfer');
+  assert.equal(getTierRole(3, mferTiers.tiers), 'Impressive Mfer');
+  assert.equal(getTierRole(250, mferTiers.tiers), 'Fancy Mfer');
+});
+
+test('getTierProgress tells what is missing for the next tier', () => {
+  assert.deepEqual(getTierProgress(2, mferTiers.tiers), {
+    current: 'Mfer',
+    next: { role: 'Impressive Mfer', min: 3, needed: 1 }
+  });
+  assert.deepEqual(getTierProgress(4, mferTiers.tiers), { current: 'Fancy Mfer', next: null });
+});
+
+test('combined counts add up their policies', () => {
+  assert.deepEqual(roles([asset(otwo, 'Mfer0001')]), ['Mfer']);
+  assert.deepEqual(roles([asset(otwo, 'Mfer0001'), asset(otwo, 'Mfer0002'), asset(mx, 'Mx1')]), ['Impressive Mfer', 'Sicario']);
+});
+
+test('quantity tiers use the token decimals', () => {
+  assert.deepEqual(roles([asset(coins, 'COIN', 2499999n)]), []);
+  assert.deepEqual(roles([asset(coins, 'COIN', 2500000n)]), ['Coin Holder']);
+  // Split over two units of the policy
+  assert.deepEqual(roles([asset(coins, 'COIN', 6000000n), asset(coins, 'GOLD', 4000000n)]), ['Coin Whale']);
+});
+
+test('quantities larger than a Number holds are compared exactly', () => {
+  const big = parseRules({
+    policies: { coins },
+    decimals: { coins: 6 },
+    rules: [{ type: 'holds', policy: 'coins', by: 'quantity', min: 1e12, role: 'Trillionaire' }]
+  });
+  const evaluate = quantity => evaluateRules(big, groupByPolicy(big, [asset(coins, 'COIN', quantity)]), {});
+  assert.deepEqual(evaluate(10n ** 18n), ['Trillionaire']);
+  // As a Number this would round up to 10^18
+  assert.deepEqual(evaluate(10n ** 18n - 1n), []);
+});
+
+test('formatQuantity writes base units as whole tokens', () => {
+  assert.equal(formatQuantity(3000000n, 6), '3');
+  assert.equal(formatQuantity(2500000n, 6), '2.5');
+  assert.equal(formatQuantity(5n, 6), '0.000005');
+  assert.equal(formatQuantity(42n), '42');
+});
+
+test('getManagedRoleNames lists every role the rules can grant', () => {
+  assert.deepEqual(getManagedRoleNames(rules).sort(), [
+    'Coin Holder', 'Coin Whale', 'Fancy Mfer', 'Green Stamp', 'Impressive Mfer', 'Mfer', 'Sicario'
+  ]);
+});
+
+test('validateRules reports every problem', () => {
+  const errors = validateRules({
+    policies: { otwo, bad: 'xyz' },
+    counts: { mfers: ['otwo', 'nope'] },
+    decimals: { otwo: 30 },
+    rules: [
+      { type: 'tiers', policy: 'otwo', tiers: [{ min: 1.5, role: 'A' }, { min: 1.5, role: 'B' }] },
+      { type: 'holds', count: 'mfers', by: 'weight', role: 'C' },
+      { type: 'holds', role: 'D' },
+      { type: 'unknown', role: 'E' }
+    ]
+  });
+  assert.deepEqual(errors, [
+    'policies.bad: "xyz" is not a 56-character hex policy ID',
+    'counts.mfers: unknown policy "nope"',
+    'decimals.otwo: must be a whole number from 0 to 18',
+    'rules[0].tiers[0]: min must be a positive integer',
+    'rules[0].tiers[1]: min must be a positive integer',
+    'rules[0]: tier minimums must be unique',
+    'rules[1]: by must be one of count, quantity',
+    'rules[2]: must set exactly one of "policy" or "count"',
+    'rules[3]: type must be one of tiers, holds, traitSet, traitCount, oneOfOne, delegation, balance'
+  ]);
+  assert.throws(() => parseRules({ policies: {}, rules: [] }, 'empty.json'), /Invalid rules in empty\.json/);
+});
+
+test('CIP-68 labels are stripped from asset names', () => {
+  assert.deepEqual(decodeAssetName('4d66657230323031'), { name: 'Mfer0201', label: null });
+  assert.deepEqual(decodeAssetName('000de1404d7831'), { name: 'Mx1', label: 222 });
+  assert.deepEqual(decodeAssetName('000643b04d7831'), { name: 'Mx1', label: 100 });
+  assert.deepEqual(decodeAssetName('0014df10434f494e'), { name: 'COIN', label: 333 });
+  // Binary names stay hex
+  assert.deepEqual(decodeAssetName('00ff10'), { name: '00ff10', label: null });
+});
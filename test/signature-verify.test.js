@@ -0,0 +1,76 @@
+// CIP-30 signData verification against recorded signatures
+//
+// fixtures/signature.json was signed with throwaway keys the way a CIP-30 wallet signs: a COSE_Sign1 over the
+// verification message with the address in the protected header, and a COSE_Key with the payment public key.
+// stakeSignature / stakeKey sign it for the stake address with the stake key, and otherWallet is the same message
+// signed by a key that does not belong to the address.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import MS from '@emurgo/cardano-message-signing-nodejs';
+import { addressToHex, buildSignMessage, verifySignedMessage } from '../signature-verify.js';
+import { getStakeAddress } from '../cardano-address.js';
+import { loadFixture } from './helpers/fixtures.js';
+
+const fixture = await loadFixture('signature.json');
+const { address, message, signature, key } = fixture;
+
+test('the message names the Discord user and nonce', () => {
+  assert.equal(buildSignMessage(fixture.discordId, fixture.nonce), message);
+});
+
+test('a signature from the wallet verifies', () => {
+  assert.deepEqual(verifySignedMessage({ signature, key, address, message }), {
+    success: true,
+    message: 'Signature verified successfully.'
+  });
+  assert.equal(getStakeAddress(address), fixture.stakeAddress);
+  assert.match(addressToHex(address), /^01[0-9a-f]{112}$/);
+});
+
+test('a signature with the stake key verifies for the stake address', () => {
+  const stake = { signature: fixture.stakeSignature, key: fixture.stakeKey };
+  assert.equal(verifySignedMessage({ ...stake, address: fixture.stakeAddress, message }).success, true);
+  // Neither key stands in for the other
+  assert.equal(verifySignedMessage({ ...stake, address, message }).message, 'Signed address does not match the claimed wallet.');
+  assert.equal(
+    verifySignedMessage({ signature, key, address: fixture.stakeAddress, message }).message,
+    'Signed address does not match the claimed wallet.'
+  );
+});
+
+test('a signature of another message is refused', () => {
+  const result = verifySignedMessage({ signature, key, address, message: buildSignMessage(fixture.discordId, 'other') });
+  assert.equal(result.message, 'Signed message does not match the verification challenge.');
+});
+
+test('a signature for another address is refused', () => {
+  const other = 'addr1qx2fxv2umyhttkxyxp8x0dlpdt3k6cwng5pxj3jhsydzer3n0d3vllmyqwsx5wktcd8cc3sq835lu7drv2xwl2wywfgse35a3x';
+  const result = verifySignedMessage({ signature, key, address: other, message });
+  assert.equal(result.message, 'Signed address does not match the claimed wallet.');
+});
+
+test('a key that is not the payment key of the address is refused', () => {
+  const result = verifySignedMessage({ ...fixture.otherWallet, address, message });
+  assert.equal(result.message, 'Signing key does not belong to the claimed wallet.');
+});
+
+test('a tampered signature is refused', () => {
+  // Flip the last byte of the Ed25519 signature
+  const last = parseInt(signature.slice(-2), 16);
+  const tampered = signature.slice(0, -2) + ((last ^ 1).toString(16).padStart(2, '0'));
+  const result = verifySignedMessage({ signature: tampered, key, address, message });
+  assert.equal(result.message, 'Signature is invalid.');
+});
+
+test('a signature of the wrong size is refused', () => {
+  // Same headers and payload, but a 10-byte signature where Ed25519 has 64
+  const signed = MS.COSESign1.from_bytes(Buffer.from(signature, 'hex'));
+  const short = MS.COSESign1.new(signed.headers(), signed.payload(), new Uint8Array(10));
+  const result = verifySignedMessage({ signature: Buffer.from(short.to_bytes()).toString('hex'), key, address, message });
+  assert.deepEqual(result, { success: false, message: 'Malformed signature or key.' });
+});
+
+test('malformed input is refused', () => {
+  assert.equal(verifySignedMessage({ signature: 'zz', key, address, message }).message, 'Malformed signature or key.');
+  assert.equal(verifySignedMessage({ signature, key, address: 'addr1nope', message }).message, 'Invalid wallet address.');
+});
@@ -0,0 +1,106 @@
+// Metadata trait rules: trait extraction, metadata indexes and the traitSet, traitCount and oneOfOne rules
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildMetadataIndex, ensureOnchainMetadata, evaluateTraitRule, extractTraits, validateTraitRule } from '../trait-rules.js';
+
+const POLICY = '3bcc312ebe7cd9281ab3e3d641bf70f207012e539b0e6e7c3f1560d7';
+
+// A small collection in the CIP-25 "721" layout, as in a local metadata file
+const index = buildMetadataIndex({
+  721: {
+    [POLICY]: {
+      Mfer0001: { name: 'Mfer0001', 'Stamp Color': 'Green', Hat: 'Cap' },
+      Mfer0002: { name: 'Mfer0002', 'Stamp Color': 'Blue', Hat: 'Cap' },
+      Mfer0003: { name: 'Mfer0003', 'Stamp Color': 'Green', Hat: 'Crown' },
+      Mfer0004: { name: 'Mfer0004', attributes: [{ trait_type: 'Stamp Color', value: 'Red' }], Hat: 'Cap' }
+    }
+  }
+}, POLICY);
+
+const held = (...names) => names.map(name => ({ policy_id: POLICY, asset_name: name }));
+
+test('extractTraits flattens top-level, attributes and traits', () => {
+  assert.deepEqual(extractTraits({
+    name: 'Mfer0005',
+    image: ['ipfs://', 'Qm'],
+    Edition: 5,
+    attributes: [{ trait_type: 'Hat', value: 'Cap' }],
+    traits: { Eyes: 'Laser' }
+  }), { name: 'Mfer0005', Edition: '5', Hat: 'Cap', Eyes: 'Laser' });
+  assert.deepEqual(extractTraits(null), {});
+});
+
+test('buildMetadataIndex counts the values of every trait', () => {
+  assert.equal(index.byName.size, 4);
+  assert.equal(index.byName.get('Mfer0004')['Stamp Color'], 'Red');
+  assert.deepEqual(Object.fromEntries(index.valueCounts.get('Stamp Color')), { Green: 2, Blue: 1, Red: 1 });
+});
+
+test('traitSet needs every listed value, or every known value', () => {
+  const listed = { type: 'traitSet', policy: 'otwo', trait: 'Stamp Color', values: ['Green', 'Blue'], role: 'Rainbow' };
+  assert.equal(evaluateTraitRule(listed, held('Mfer0001', 'Mfer0002'), index), true);
+  assert.equal(evaluateTraitRule(listed, held('Mfer0001', 'Mfer0003'), index), false);
+
+  const all = { type: 'traitSet', policy: 'otwo', trait: 'Stamp Color', role: 'Rainbow' };
+  assert.equal(evaluateTraitRule(all, held('Mfer0001', 'Mfer0002'), index), false);
+  assert.equal(evaluateTraitRule(all, held('Mfer0001', 'Mfer0002', 'Mfer0004'), index), true);
+});
+
+test('traitCount needs min assets with the value', () => {
+  const rule = { type: 'traitCount', policy: 'otwo', trait: 'Stamp Color', value: 'Green', min: 2, role: 'Green' };
+  assert.equal(evaluateTraitRule(rule, held('Mfer0001', 'Mfer0002'), index), false);
+  assert.equal(evaluateTraitRule(rule, held('Mfer0001', 'Mfer0003'), index), true);
+});
+
+test('oneOfOne matches a value, or a value no other asset has', () => {
+  const crown = { type: 'oneOfOne', policy: 'otwo', trait: 'Hat', value: 'Crown', role: 'King' };
+  assert.equal(evaluateTraitRule(crown, held('Mfer0003'), index), true);
+  assert.equal(evaluateTraitRule(crown, held('Mfer0001'), index), false);
+
+  const unique = { type: 'oneOfOne', policy: 'otwo', trait: 'Stamp Color', role: 'Unique' };
+  assert.equal(evaluateTraitRule(unique, held('Mfer0001', 'Mfer0003'), index), false);
+  assert.equal(evaluateTraitRule(unique, held('Mfer0002'), index), true);
+});
+
+test('on-chain metadata is fetched once per asset', async () => {
+  const rules = { policies: { otwo: POLICY }, metadata: { otwo: { source: 'cip25' } } };
+  const indexes = { otwo: buildMetadataIndex({}, POLICY) };
+  const fetched = [];
+  const fetchMetadata = async unit => {
+    fetched.push(unit);
+    return { name: 'Mfer0201', 'Stamp Color': 'Green' };
+  };
+  const policyMap = { otwo: [{ unit: `${POLICY}4d66657230323031`, asset_name: 'Mfer0201' }] };
+
+  await ensureOnchainMetadata(rules, indexes, policyMap, fetchMetadata);
+  await ensureOnchainMetadata(rules, indexes, policyMap, fetchMetadata);
+  assert.equal(fetched.length, 1);
+  const rule = { type: 'traitCount', policy: 'otwo', trait: 'Stamp Color', value: 'Green', role: 'Green' };
+  assert.equal(evaluateTraitRule(rule, policyMap.otwo, indexes.otwo), true);
+});
+
+test('a failed metadata lookup is not indexed and is tried again', async () => {
+  const rules = { policies: { otwo: POLICY }, metadata: { otwo: { source: 'cip25' } } };
+  const indexes = { otwo: buildMetadataIndex({}, POLICY) };
+  let failing = true;
+  const fetchMetadata = async () => {
+    if (failing) throw new Error('Recorded 429 response');
+    return { name: 'Mfer0202', 'Stamp Color': 'Blue' };
+  };
+  const policyMap = { otwo: [{ unit: `${POLICY}4d66657230323032`, asset_name: 'Mfer0202' }] };
+
+  await assert.rejects(ensureOnchainMetadata(rules, indexes, policyMap, fetchMetadata), /429/);
+  assert.equal(indexes.otwo.byName.has('Mfer0202'), false);
+  failing = false;
+  await ensureOnchainMetadata(rules, indexes, policyMap, fetchMetadata);
+  assert.equal(indexes.otwo.byName.get('Mfer0202')['Stamp Color'], 'Blue');
+});
+
+test('rules that need the whole collection need a metadata file', () => {
+  const policies = { otwo: POLICY };
+  const rule = { type: 'oneOfOne', policy: 'otwo', trait: 'Hat', role: 'Unique' };
+  assert.deepEqual(validateTraitRule(rule, 'rules[0]', policies, { otwo: 'metadata.json' }), []);
+  assert.deepEqual(validateTraitRule(rule, 'rules[0]', policies, { otwo: { source: 'cip25' } }), [
+    'rules[0]: needs a local metadata file (or explicit value) for policy "otwo"'
+  ]);
+});
@@ -0,0 +1,238 @@
+// /verify -> /hash -> /getrole end to end: both bots on a simulated guild and recorded chain responses
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import MS from '@emurgo/cardano-message-signing-nodejs';
+import { createVerifyBot } from '../verify-bot.js';
+import { createRoleBot } from '../role-bot.js';
+import { loadVerifiedData } from '../verified-store.js';
+import { buildSignMessage } from '../signature-verify.js';
+import { createFakeClient, createFakeGuild, createInteraction } from './helpers/fake-discord.js';
+import { createFakeChain } from './helpers/fake-chain.js';
+import { OTHER_KEY, PAYMENT_KEY, STAKE_KEY, baseAddress, signData } from './helpers/cip30-wallet.js';
+import { loadFixture, useTempDataDir } from './helpers/fixtures.js';
+
+const GUILD_ID = '700000000000000001';
+const OTHER_USER = '100000000000000002';
+// Pairs their own payment key with the fixture wallet's stake key
+const ATTACKER = '100000000000000007';
+const TX_HASH = 'a'.repeat(64);
+const WRONG_TX_HASH = 'b'.repeat(64);
+
+let dataDir;
+let chain;
+let guild;
+let verifyBot;
+let roleBot;
+let wallet;
+let stakeAddress;
+let user;
+
+before(async () => {
+  dataDir = await useTempDataDir();
+  const signature = await loadFixture('signature.json');
+  wallet = signature.address;
+  stakeAddress = signature.stakeAddress;
+  user = signature.discordId;
+  chain = await createFakeChain(dataDir.dir, await loadFixture('chain.json'));
+  const rules = await loadFixture('rules.json');
+
+  guild = createFakeGuild(GUILD_ID, {
+    roles: ['Mfer', 'Impressive Mfer', 'Fancy Mfer', 'Sicario', 'Coin Holder', 'Coin Whale', 'Green Stamp', 'Moderator'],
+    members: [{ id: user, name: 'mfer', roles: ['Moderator'] }, { id: OTHER_USER, name: 'lurker' }, { id: ATTACKER, name: 'attacker' }]
+  });
+  verifyBot = createVerifyBot({
+    chain,
+    client: createFakeClient(),
+    // Nothing listens there: requested re-syncs fail, which the bot only logs
+    env: { ROLE_BOT_URL: 'http://127.0.0.1:9' },
+    sleep: async () => {}
+  });
+  roleBot = createRoleBot({ chain, client: createFakeClient([guild]), env: {} });
+  await roleBot.initGuild(GUILD_ID, { guildId: GUILD_ID, rules, syncIntervalHours: 0, auditChannelId: null });
+  // Loading the rules starts a full sync; let it finish
+  await roleBot.assignRoles(GUILD_ID);
+});
+
+after(() => dataDir.cleanup());
+
+// Start a challenge with /verify; returns the amount to send
+async function startVerification(discordId) {
+  const interaction = createInteraction({ commandName: 'verify', userId: discordId, options: { wallet } });
+  await verifyBot.handleInteraction(interaction);
+  const amount = interaction.replies[0].match(/\*\*([\d.]+) ADA\*\*/)?.[1];
+  assert.ok(amount, `no challenge amount in "${interaction.replies[0]}"`);
+  // The reminder to submit the hash comes right away with the test's sleep
+  assert.match(interaction.replies[1], /\/hash/);
+  return Number(amount);
+}
+
+// Record a self-send of the wallet confirmed now
+async function recordSelfSend(txHash, lovelace) {
+  await chain.update(recorded => {
+    recorded.txs[txHash] = {
+      block_time: Math.ceil(Date.now() / 1000),
+      inputs: [{ address: wallet, amount: [{ unit: 'lovelace', quantity: '5000000' }] }],
+      outputs: [{ address: wallet, amount: [{ unit: 'lovelace', quantity: String(lovelace) }] }]
+    };
+  });
+}
+
+async function submitHash(discordId, txHash) {
+  const interaction = createInteraction({ commandName: 'hash', userId: discordId, options: { txhash: txHash } });
+  await verifyBot.handleInteraction(interaction);
+  return interaction.replies;
+}
+
+// Get a signing link with /verifysign, or with /wallets reverify for a linked wallet; returns its nonce
+async function startSigning(discordId, address, { reverify = false } = {}) {
+  const interaction = reverify
+    ? createInteraction({ commandName: 'wallets', userId: discordId, subcommand: 'reverify', options: { wallet: address, method: 'signature' } })
+    : createInteraction({ commandName: 'verifysign', userId: discordId, options: { wallet: address } });
+  await verifyBot.handleInteraction(interaction);
+  const nonce = interaction.replies[0].match(/\/sign\/([0-9a-f]{32})/)?.[1];
+  assert.ok(nonce, `no signing link in "${interaction.replies[0]}"`);
+  return nonce;
+}
+
+// Post a signData result to the signing page; returns the status and answer
+async function postSignature(nonce, body) {
+  const server = verifyBot.app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/sign/${nonce}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, answer: await response.json() };
+  } finally {
+    server.close();
+  }
+}
+
+// Sign the message of a signing link for an address, and for its stake address when stakeKey is given
+function signLink(discordId, nonce, address, paymentKey, stakeKey) {
+  const message = buildSignMessage(discordId, nonce);
+  const body = signData(paymentKey, address, message);
+  if (!stakeKey) return body;
+  const stake = signData(stakeKey, stakeAddress, message);
+  return { ...body, stakeSignature: stake.signature, stakeKey: stake.key };
+}
+
+test('/hash without a challenge asks to start with /verify', async () => {
+  const replies = await submitHash(OTHER_USER, TX_HASH);
+  assert.match(replies[0], /No verification in progress/);
+});
+
+test('/verify refuses addresses of another network', async () => {
+  const interaction = createInteraction({ commandName: 'verify', userId: user, options: { wallet: 'addr_test1qqq' } });
+  await verifyBot.handleInteraction(interaction);
+  assert.match(interaction.replies[0], /Must start with "addr1"/);
+});
+
+test('/verify answers with an error when the blocklist cannot be read', async () => {
+  const blocklist = path.join(dataDir.dir, 'blocklist.json');
+  await fs.writeFile(blocklist, '{ not json');
+  try {
+    for (const commandName of ['verify', 'verifysign']) {
+      const interaction = createInteraction({ commandName, userId: OTHER_USER, options: { wallet } });
+      await verifyBot.handleInteraction(interaction);
+      assert.deepEqual(interaction.replies, ['❌ An error occurred. Try again later.']);
+    }
+  } finally {
+    await fs.rm(blocklist);
+  }
+});
+
+test('/hash rejects a transaction with the wrong amount and keeps the challenge', async () => {
+  const amount = await startVerification(user);
+  await recordSelfSend(WRONG_TX_HASH, Math.round(amount * 1_000_000) + 1);
+
+  const replies = await submitHash(user, WRONG_TX_HASH);
+  assert.match(replies[0], /Verifying transaction/);
+  assert.match(replies[1], /Verification failed: Wrong amount/);
+  assert.equal((await loadVerifiedData())[user], undefined);
+});
+
+test('the signing page refuses a malformed signature and keeps running', async () => {
+  const nonce = await startSigning(user, wallet);
+
+  // The link's message with the fixture's headers and key, but a 10-byte signature, which the Ed25519 parser throws on
+  const { signature, key } = await loadFixture('signature.json');
+  const signed = MS.COSESign1.from_bytes(Buffer.from(signature, 'hex'));
+  const payload = Buffer.from(buildSignMessage(user, nonce));
+  const short = MS.COSESign1.new(signed.headers(), payload, new Uint8Array(10));
+
+  const body = { signature: Buffer.from(short.to_bytes()).toString('hex'), key };
+  assert.deepEqual(await postSignature(nonce, body), { status: 400, answer: { success: false, message: 'Malformed signature or key.' } });
+  // The link works once
+  assert.equal((await postSignature(nonce, body)).status, 404);
+});
+
+test('an address on someone else\'s stake key counts as that address only', async () => {
+  const address = baseAddress(OTHER_KEY, STAKE_KEY);
+
+  // Signing for the stake address needs the stake key
+  let nonce = await startSigning(ATTACKER, address);
+  const forged = await postSignature(nonce, signLink(ATTACKER, nonce, address, OTHER_KEY, OTHER_KEY));
+  assert.deepEqual(forged, { status: 400, answer: { success: false, message: 'Stake key: Signing key does not belong to the claimed wallet.' } });
+
+  // Without it the address links, but gets none of the holdings of the stake key's wallet, whose owner has not
+  // verified yet; nor does it stand in the owner's way (next test)
+  nonce = await startSigning(ATTACKER, address);
+  assert.equal((await postSignature(nonce, signLink(ATTACKER, nonce, address, OTHER_KEY))).status, 200);
+  assert.equal((await loadVerifiedData())[ATTACKER][0].stakeVerified, undefined);
+
+  const getrole = createInteraction({ commandName: 'getrole', userId: ATTACKER, guildId: GUILD_ID });
+  await roleBot.handleInteraction(getrole);
+  assert.deepEqual(guild.roleNamesOf(ATTACKER), []);
+});
+
+test('/verify, /hash and /getrole link the wallet and assign its roles', async () => {
+  const amount = await startVerification(user);
+  await recordSelfSend(TX_HASH, Math.round(amount * 1_000_000));
+
+  const replies = await submitHash(user, TX_HASH);
+  assert.match(replies[1], /verified, congrats/);
+  const [linked] = (await loadVerifiedData())[user];
+  assert.equal(linked.address, wallet);
+  assert.equal(linked.stakeAddress, 'stake1uyqgk3uyfkfgzt7rp50s4jdkl0ecw7xvh2wmsvf2myreq7g3q7s08');
+  assert.equal(linked.primary, true);
+
+  // The challenge is used up
+  assert.match((await submitHash(user, TX_HASH))[0], /No verification in progress/);
+
+  const getrole = createInteraction({ commandName: 'getrole', userId: user, guildId: GUILD_ID });
+  await roleBot.handleInteraction(getrole);
+  assert.match(getrole.replies[0], /Roles have been updated/);
+  // Only the address counts until the stake key is proven: 1 otwo + 1 mx (its CIP-68 reference token does not
+  // count), 3 coins, one green stamp; other roles stay
+  assert.deepEqual(guild.roleNamesOf(user), ['Coin Holder', 'Green Stamp', 'Mfer', 'Moderator', 'Sicario']);
+
+  const again = createInteraction({ commandName: 'getrole', userId: user, guildId: GUILD_ID });
+  await roleBot.handleInteraction(again);
+  assert.match(again.replies[0], /already up to date/);
+});
+
+test('signing with the stake key makes the whole wallet count', async () => {
+  const nonce = await startSigning(user, wallet, { reverify: true });
+  const { status } = await postSignature(nonce, signLink(user, nonce, wallet, PAYMENT_KEY, STAKE_KEY));
+  assert.equal(status, 200);
+  const [linked] = (await loadVerifiedData())[user];
+  assert.equal(linked.stakeVerified, true);
+
+  const getrole = createInteraction({ commandName: 'getrole', userId: user, guildId: GUILD_ID });
+  await roleBot.handleInteraction(getrole);
+  // The second otwo at another address of the wallet makes 3 mfers; Mfer goes after the removal grace period
+  assert.deepEqual(guild.roleNamesOf(user), ['Coin Holder', 'Green Stamp', 'Impressive Mfer', 'Mfer', 'Moderator', 'Sicario']);
+});
+
+test('/getrole without a verified wallet points to /verify', async () => {
+  const interaction = createInteraction({ commandName: 'getrole', userId: OTHER_USER, guildId: GUILD_ID });
+  await roleBot.handleInteraction(interaction);
+  assert.match(interaction.replies[0], /No wallet found/);
+  assert.deepEqual(guild.roleNamesOf(OTHER_USER), []);
+});
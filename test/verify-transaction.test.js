@@ -0,0 +1,87 @@
+// verifyTransaction(): checking a self-send against a challenge, and retrying on 404 and 429 responses
+import { after, before, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createVerifyBot } from '../verify-bot.js';
+import { createFakeClient } from './helpers/fake-discord.js';
+import { createFakeChain } from './helpers/fake-chain.js';
+import { loadFixture, useTempDataDir } from './helpers/fixtures.js';
+
+const TX_HASH = 'c'.repeat(64);
+const AMOUNT = 1.234567;
+
+let dataDir;
+let chain;
+let verifyBot;
+let waits;
+let challenge;
+
+before(async () => {
+  dataDir = await useTempDataDir();
+  const { address } = await loadFixture('signature.json');
+  chain = await createFakeChain(dataDir.dir, await loadFixture('chain.json'));
+  const issuedAt = Date.now();
+  challenge = { wallet: address, amount: AMOUNT, issuedAt, expiresAt: issuedAt + 60000 };
+  await chain.update(recorded => {
+    recorded.txs[TX_HASH] = {
+      block_time: Math.ceil(issuedAt / 1000),
+      inputs: [{ address, amount: [{ unit: 'lovelace', quantity: '5000000' }] }],
+      outputs: [{ address, amount: [{ unit: 'lovelace', quantity: '1234567' }] }]
+    };
+  });
+  verifyBot = createVerifyBot({ chain, client: createFakeClient(), env: {}, sleep: async ms => { waits.push(ms); } });
+});
+
+after(() => dataDir.cleanup());
+
+beforeEach(() => {
+  waits = [];
+});
+
+test('a matching self-send verifies without waiting', async () => {
+  const result = await verifyBot.verifyTransaction(TX_HASH, challenge);
+  assert.deepEqual(result, { success: true, message: 'Transaction verified successfully.' });
+  assert.deepEqual(waits, []);
+});
+
+test('a malformed hash is refused without asking the chain', async () => {
+  const calls = chain.calls.getTx || 0;
+  const result = await verifyBot.verifyTransaction('not-a-hash', challenge);
+  assert.equal(result.success, false);
+  assert.match(result.message, /64 hex characters/);
+  assert.equal(chain.calls.getTx || 0, calls);
+});
+
+test('a transaction sent before the challenge does not count', async () => {
+  const result = await verifyBot.verifyTransaction(TX_HASH, { ...challenge, issuedAt: Date.now() + 10000 });
+  assert.equal(result.success, false);
+  assert.match(result.message, /before the verification challenge/);
+});
+
+test('429 responses are retried with a growing delay', async () => {
+  chain.failNext('getTx', 429, 429);
+  const result = await verifyBot.verifyTransaction(TX_HASH, challenge);
+  assert.equal(result.success, true);
+  assert.deepEqual(waits, [5000, 10000]);
+});
+
+test('a transaction that is not on chain yet is retried every 30 seconds', async () => {
+  chain.failNext('getTxUtxos', 404);
+  const result = await verifyBot.verifyTransaction(TX_HASH, challenge);
+  assert.equal(result.success, true);
+  assert.deepEqual(waits, [30000]);
+});
+
+test('gives up after five attempts', async () => {
+  chain.failNext('getTx', 404, 404, 404, 404, 404);
+  const result = await verifyBot.verifyTransaction(TX_HASH, challenge);
+  assert.equal(result.success, false);
+  assert.equal(result.message, 'Transaction not found after retries. Wait longer and try again.');
+  assert.deepEqual(waits, [30000, 30000, 30000, 30000]);
+});
+
+test('other errors are not retried', async () => {
+  chain.failNext('getTx', 403);
+  const result = await verifyBot.verifyTransaction(TX_HASH, challenge);
+  assert.deepEqual(result, { success: false, message: 'Invalid fake API key.' });
+  assert.deepEqual(waits, []);
+});
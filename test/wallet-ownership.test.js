@@ -0,0 +1,53 @@
+// Contested wallets under WALLET_CLAIM_POLICY=flag: which account counts the holdings of a wallet linked to two
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as delay } from 'node:timers/promises';
+import { createVerifyBot } from '../verify-bot.js';
+import { loadVerifiedData } from '../verified-store.js';
+import { buildHoldingsOwners, getCountedHoldingsKeys } from '../wallet-ownership.js';
+import { createFakeClient } from './helpers/fake-discord.js';
+import { createFakeChain } from './helpers/fake-chain.js';
+import { loadFixture, useTempDataDir } from './helpers/fixtures.js';
+
+const OWNER = '100000000000000009';
+const ALT = '100000000000000010';
+const CLAIM_POLICY = process.env.WALLET_CLAIM_POLICY;
+
+let dataDir;
+let verifyBot;
+let wallet;
+
+before(async () => {
+  dataDir = await useTempDataDir();
+  process.env.WALLET_CLAIM_POLICY = 'flag';
+  ({ address: wallet } = await loadFixture('signature.json'));
+  verifyBot = createVerifyBot({
+    chain: await createFakeChain(dataDir.dir, await loadFixture('chain.json')),
+    client: createFakeClient(),
+    env: { ROLE_BOT_URL: 'http://127.0.0.1:9' },
+    sleep: async () => {}
+  });
+});
+
+after(async () => {
+  if (CLAIM_POLICY === undefined) delete process.env.WALLET_CLAIM_POLICY;
+  else process.env.WALLET_CLAIM_POLICY = CLAIM_POLICY;
+  await dataDir.cleanup();
+});
+
+test('the account that linked a wallet first keeps counting it after verifying it again', async () => {
+  assert.equal((await verifyBot.storeVerifiedUser(OWNER, wallet, 'transaction')).claim, 'new');
+  // Timestamps are in milliseconds; keep the links apart
+  await delay(5);
+  assert.equal((await verifyBot.storeVerifiedUser(ALT, wallet, 'transaction')).claim, 'flagged');
+  await delay(5);
+  // The owner runs /wallets reverify
+  await verifyBot.storeVerifiedUser(OWNER, wallet, 'signature');
+
+  const verified = await loadVerifiedData();
+  const [owned] = verified[OWNER];
+  assert.ok(owned.verifiedAt > verified[ALT][0].verifiedAt);
+  assert.ok(owned.linkedAt < verified[ALT][0].linkedAt);
+  assert.equal(buildHoldingsOwners(verified).get(wallet), OWNER);
+  assert.deepEqual(getCountedHoldingsKeys(verified, ALT), []);
+});
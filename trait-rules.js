@@ -0,0 +1,179 @@
+// Metadata trait rules for role-bot.js
+//
+// Metadata sources (rules.json "metadata", per policy label):
+//   "02-metadata.json"                          local JSON file (shorthand)
+//   { "source": "file", "file": "x.json" }      local JSON file, keyed by asset name or CIP-25 "721" layout
+//   { "source": "cip25" }                       on-chain CIP-25 metadata fetched per asset and cached
+//
+// Trait rule types:
+//   { type: 'traitSet', policy, trait, values?, role }        hold every value of a trait (all known values if omitted)
+//   { type: 'traitCount', policy, trait, value, min = 1, role } hold at least `min` assets with trait = value
+//   { type: 'oneOfOne', policy, trait, value?, role }          hold an asset with trait = value, or (without value)
+//                                                              an asset whose trait value is unique in the collection
+import fs from 'fs/promises';
+import path from 'path';
+
+export const TRAIT_RULE_TYPES = ['traitSet', 'traitCount', 'oneOfOne'];
+
+const POLICY_PREFIX = /^[0-9a-f]{56}\.?/;
+
+// Normalize a metadata config entry to { source, file? }
+export function getMetadataSource(config) {
+  if (typeof config === 'string') return { source: 'file', file: config };
+  return config || null;
+}
+
+// Validate a metadata config entry, returning a list of problems
+export function validateMetadataSource(config, where) {
+  const source = getMetadataSource(config);
+  if (!source || !['file', 'cip25'].includes(source.source)) {
+    return [`${where}: must be a file name or { "source": "file" | "cip25" }`];
+  }
+  if (source.source === 'file' && (typeof source.file !== 'string' || source.file.trim() === '')) {
+    return [`${where}: file is required for file metadata`];
+  }
+  return [];
+}
+
+// Validate a trait rule against the configured metadata sources
+export function validateTraitRule(rule, where, policies, metadata) {
+  const errors = [];
+  if (!policies[rule.policy]) {
+    errors.push(`${where}: unknown policy "${rule.policy}"`);
+    return errors;
+  }
+  const source = getMetadataSource(metadata[rule.policy]);
+  if (!source) errors.push(`${where}: no metadata configured for policy "${rule.policy}"`);
+  if (typeof rule.trait !== 'string' || rule.trait.trim() === '') errors.push(`${where}: trait is required`);
+
+  // Rules that need every asset's metadata only work with a complete local file
+  const needsCollection =
+    (rule.type === 'traitSet' && rule.values === undefined) ||
+    (rule.type === 'oneOfOne' && rule.value === undefined);
+  if (needsCollection && source?.source !== 'file') {
+    errors.push(`${where}: needs a local metadata file (or explicit ${rule.type === 'traitSet' ? 'values' : 'value'}) for policy "${rule.policy}"`);
+  }
+
+  if (rule.type === 'traitSet' && rule.values !== undefined && (!Array.isArray(rule.values) || rule.values.length === 0)) {
+    errors.push(`${where}: values must be a non-empty list`);
+  }
+  if (rule.type === 'traitCount') {
+    if (rule.value === undefined) errors.push(`${where}: value is required`);
+    if (rule.min !== undefined && !(Number.isInteger(rule.min) && rule.min > 0)) errors.push(`${where}: min must be a positive integer`);
+  }
+  return errors;
+}
+
+// Flatten CIP-25 style metadata to { trait: value } with string values
+export function extractTraits(entry) {
+  if (!entry || typeof entry !== 'object') return {};
+  const traits = {};
+  const add = (key, value) => {
+    if (value === null || value === undefined || typeof value === 'object') return;
+    traits[key] = String(value);
+  };
+
+  for (const [key, value] of Object.entries(entry)) add(key, value);
+  for (const nested of [entry.attributes, entry.traits]) {
+    if (Array.isArray(nested)) {
+      // [{ trait_type, value }] layout
+      nested.forEach(item => item && add(item.trait_type ?? item.name, item.value));
+    } else if (nested && typeof nested === 'object') {
+      for (const [key, value] of Object.entries(nested)) add(key, value);
+    }
+  }
+  return traits;
+}
+
+// Create an empty index: exact asset name -> traits, plus per-trait value counts
+function createIndex() {
+  return { byName: new Map(), valueCounts: new Map() };
+}
+
+function addToIndex(index, assetName, entry) {
+  const traits = extractTraits(entry);
+  index.byName.set(assetName, traits);
+  for (const [trait, value] of Object.entries(traits)) {
+    if (!index.valueCounts.has(trait)) index.valueCounts.set(trait, new Map());
+    const counts = index.valueCounts.get(trait);
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+}
+
+// Build an index from a local metadata file for one policy
+export function buildMetadataIndex(raw, policyId) {
+  const index = createIndex();
+  // CIP-25 layout: { "721": { "<policyId>": { "<assetName>": {...} } } }
+  const entries = raw?.['721']?.[policyId] || raw || {};
+  for (const [key, entry] of Object.entries(entries)) {
+    // Keys may be prefixed with the policy ID ("<policyId>.<assetName>")
+    addToIndex(index, key.replace(POLICY_PREFIX, ''), entry);
+  }
+  return index;
+}
+
+// Load the metadata of every configured policy: policy label -> index
+export async function loadMetadataIndexes(rules, baseDir) {
+  const indexes = {};
+  for (const [label, config] of Object.entries(rules.metadata)) {
+    const source = getMetadataSource(config);
+    if (source.source === 'cip25') {
+      indexes[label] = createIndex();
+      continue;
+    }
+    try {
+      const raw = JSON.parse(await fs.readFile(path.join(baseDir, source.file), 'utf-8'));
+      indexes[label] = buildMetadataIndex(raw, rules.policies[label]);
+      console.log(`✅ ${source.file} loaded successfully:`, indexes[label].byName.size, 'entries');
+    } catch (err) {
+      console.error(`❌ Error loading ${source.file}:`, err.message);
+      indexes[label] = createIndex();
+    }
+  }
+  return indexes;
+}
+
+// Make sure on-chain (CIP-25) metadata is indexed for the given assets
+// fetchMetadata(unit) resolves to the asset's onchain_metadata (or null when it has none) and throws when the lookup
+// fails; the error is passed on and the asset left out of the index, so it is looked up again next time
+export async function ensureOnchainMetadata(rules, indexes, policyMap, fetchMetadata) {
+  for (const [label, config] of Object.entries(rules.metadata)) {
+    if (getMetadataSource(config).source !== 'cip25') continue;
+    for (const asset of policyMap[label] || []) {
+      if (indexes[label].byName.has(asset.asset_name)) continue;
+      const metadata = await fetchMetadata(asset.unit);
+      addToIndex(indexes[label], asset.asset_name, metadata);
+    }
+  }
+}
+
+// Traits of the assets a member holds for one policy
+function getHeldTraits(assets, index) {
+  return assets.map(asset => index?.byName.get(asset.asset_name)).filter(Boolean);
+}
+
+// Check whether a member's assets of a policy satisfy a trait rule
+export function evaluateTraitRule(rule, assets, index) {
+  const held = getHeldTraits(assets, index);
+
+  if (rule.type === 'traitSet') {
+    const values = rule.values ?? [...(index?.valueCounts.get(rule.trait)?.keys() || [])];
+    const needed = new Set(values);
+    for (const traits of held) needed.delete(traits[rule.trait]);
+    if (needed.size > 0) console.log(`⚠️ Missing ${rule.trait} values: ${Array.from(needed).join(', ')}`);
+    return values.length > 0 && needed.size === 0;
+  }
+
+  if (rule.type === 'traitCount') {
+    const matching = held.filter(traits => traits[rule.trait] === String(rule.value)).length;
+    return matching >= (rule.min ?? 1);
+  }
+
+  if (rule.type === 'oneOfOne') {
+    if (rule.value !== undefined) return held.some(traits => traits[rule.trait] === String(rule.value));
+    const counts = index?.valueCounts.get(rule.trait);
+    return held.some(traits => traits[rule.trait] !== undefined && counts?.get(traits[rule.trait]) === 1);
+  }
+
+  return false;
+}
@@ -0,0 +1,78 @@
+// Read/write helpers for verified.json, shared by the verify and role bots
+//
+// verified.json maps a Discord ID to the wallets it has verified:
+//   { "<discordId>": [{ "address": "addr1...", "stakeAddress": "stake1..." | null, "stakeVerified": true?,
+//                       "linkedAt": "<ISO date>", "verifiedAt": "<ISO date>", "primary": true? }] }
+// stakeAddress is read off the address, which anyone can pair with someone else's stake key; stakeVerified is only
+// set once the member signed with that stake key, and until then the wallet counts as its payment address alone.
+// linkedAt is when the wallet was first linked to the member and decides who counts a contested wallet;
+// verifiedAt is updated by every re-verification.
+// Files from before versioning stored plain address strings; migration 1 turns those into wallet objects.
+// Migration 2 adds linkedAt, taken from verifiedAt (the earliest time known).
+import { getStakeAddress } from './cardano-address.js';
+import { openStore } from './storage.js';
+
+// Turn a stored entry (string, string[] or wallet objects) into a list of wallet objects
+export function normalizeWallets(entry) {
+  const list = Array.isArray(entry) ? entry : entry ? [entry] : [];
+  return list.map(wallet => {
+    if (typeof wallet === 'string') {
+      const address = wallet.trim();
+      return { address, stakeAddress: getStakeAddress(address), linkedAt: null, verifiedAt: null };
+    }
+    return {
+      ...wallet,
+      stakeAddress: wallet.stakeAddress === undefined ? getStakeAddress(wallet.address) : wallet.stakeAddress,
+      linkedAt: wallet.linkedAt === undefined ? wallet.verifiedAt ?? null : wallet.linkedAt
+    };
+  });
+}
+
+const normalizeAll = data => Object.fromEntries(Object.entries(data).map(([discordId, entry]) => [discordId, normalizeWallets(entry)]));
+
+const verifiedStore = openStore('verified', {
+  version: 2,
+  migrations: {
+    1: normalizeAll,
+    2: normalizeAll
+  }
+});
+
+// Key used to fetch holdings: the stake address once its key is proven, else the payment address
+export function getHoldingsKey(wallet) {
+  return wallet.stakeVerified && wallet.stakeAddress ? wallet.stakeAddress : wallet.address;
+}
+
+// Load verified.json; a missing file means no verified users
+export function loadVerifiedData() {
+  return verifiedStore.read();
+}
+
+// Replace the whole of verified.json
+export function saveVerifiedData(data) {
+  return verifiedStore.write(data);
+}
+
+// Read-modify-write verified.json; update(data) changes data in place and must be synchronous.
+// Updates are serialized, also against the other bot, so concurrent edits never overwrite each other
+export function updateVerifiedData(update) {
+  return verifiedStore.update(update);
+}
+
+// Unlink a wallet from a user; returns false when it was not linked
+export async function removeVerifiedWallet(discordId, wallet) {
+  return updateVerifiedData(existing => {
+    const wallets = normalizeWallets(existing[discordId]);
+    const index = wallets.findIndex(w => w.address === wallet);
+    if (index === -1) return false;
+
+    const [removed] = wallets.splice(index, 1);
+    if (wallets.length === 0) {
+      delete existing[discordId];
+    } else {
+      if (removed.primary) wallets[0].primary = true;
+      existing[discordId] = wallets;
+    }
+    return true;
+  });
+}
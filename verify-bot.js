@@ -1,4 +1,7 @@
 // Discord bot for Cardano wallet verification with /hash command
+//
+// createVerifyBot() sets the bot up on a chain provider and Discord client without starting anything, so it can be
+// driven from tests. Running `node verify-bot.js` loads .env, starts the web server and logs in to Discord.
 import express from 'express';
 import {
   Client,
@@ -12,39 +15,40 @@ import {
 import axios from 'axios';
 import fs from 'fs/promises';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
-
-// Load environment variables from Replit Secrets
-dotenv.config();
-
-const DISCORD_BOT_TOKEN = process.env.DISCORD_BOT_TOKEN;
-const CLIENT_ID = process.env.CLIENT_ID;
-const BLOCKFROST_API_KEY = process.env.BLOCKFROST_API_KEY;
-const PORT = process.env.PORT || 3001;
-
-// Validate environment variables
-if (!DISCORD_BOT_TOKEN || !CLIENT_ID || !BLOCKFROST_API_KEY) {
-  console.error('❌ Missing environment variables in Replit Secrets: DISCORD_BOT_TOKEN, CLIENT_ID, or BLOCKFROST_API_KEY');
-  process.exit(1);
-}
+import { addressToHex, buildSignMessage, verifySignedMessage } from './signature-verify.js';
+import { getAddressPrefix, getStakeAddress } from './cardano-address.js';
+import { createChainProvider } from './chain-provider.js';
+import { openStore } from './storage.js';
+import { loadVerifiedData, normalizeWallets, removeVerifiedWallet, updateVerifiedData } from './verified-store.js';
+import { getBlockReason } from './admin-store.js';
+import { detachWallet, findOtherOwners, getClaimPolicy, recordFlaggedClaim } from './wallet-ownership.js';
+import { logAuditEvent, setAuditClient } from './audit-log.js';
+
+const SIGN_NONCE_TTL = 10 * 60 * 1000; // Signing links expire after 10 minutes
+const CHALLENGE_TTL = 15 * 60 * 1000; // /verify challenges expire after 15 minutes
+const SESSION_SWEEP_INTERVAL = 60 * 1000; // Check for expired challenges every minute
+const HASH_REMINDER_DELAY = 30 * 1000; // Remind the user to submit the hash once the transaction had time to confirm
+const CLAIM_REJECTED_MESSAGE = '❌ This wallet is already linked to another Discord account. Contact an admin if this is your wallet.';
+const BLOCKED_MESSAGES = {
+  user: '⛔ You are not allowed to verify wallets. Contact an admin.',
+  wallet: '⛔ This wallet is blocked from verification. Contact an admin.'
+};
 
 // Set up paths for ES Modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Initialize Express server
-const app = express();
-app.get('/', (req, res) => res.send('Verify bot is running.'));
-app.listen(PORT, () => console.log(`✅ Server running on port ${PORT} - Access at Replit URL`));
+const defaultSleep = ms => new Promise(resolve => setTimeout(resolve, ms));
 
-// Initialize Discord client
-const client = new Client({ intents: [GatewayIntentBits.Guilds] });
-const verificationMap = new Map();
+const sessionsStore = openStore('sessions');
 
-// Generate random ADA amount (0.1 to 0.5 ADA)
+// Generate random ADA amount (1 to 2 ADA, down to the lovelace); an ADA-only output below the ~1 ADA minimum UTxO
+// value would be refused by wallets and the ledger
 function generateRandomAdaAmount() {
-  return parseFloat((Math.random() * 0.4 + 0.1).toFixed(6));
+  return parseFloat((Math.random() + 1).toFixed(6));
 }
 
 // Validate transaction hash (64-character hexadecimal)
@@ -52,147 +56,466 @@ function isValidTxHash(txHash) {
   return /^[0-9a-fA-F]{64}$/.test(txHash);
 }
 
-// Verify Cardano transaction
-async function verifyTransaction(txHash, wallet) {
-  if (!isValidTxHash(txHash)) {
-    console.error('❌ Invalid transaction hash format:', txHash);
-    return { success: false, message: 'Invalid transaction hash format (must be 64 hex characters).' };
+// Convert an ADA amount to lovelace (1 ADA = 1,000,000 lovelace)
+function adaToLovelace(amount) {
+  return Math.round(amount * 1_000_000);
+}
+
+// Sum the lovelace of a transaction input/output
+function getLovelace(utxo) {
+  const entry = utxo.amount?.find(a => a.unit === 'lovelace');
+  return entry ? Number(entry.quantity) : 0;
+}
+
+// Check a confirmed transaction against the pending /verify challenge
+function checkChallenge(utxos, tx, challenge) {
+  const { wallet, amount, issuedAt } = challenge;
+  const { inputs, outputs } = utxos;
+
+  // The claimed wallet must have signed the transaction (spent one of its UTxOs)
+  const isSender = inputs.some(i => i.address === wallet);
+  if (!isSender) {
+    return { success: false, message: `Transaction was not sent from \`${wallet}\`.` };
   }
 
-  const maxRetries = 5;
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      const response = await axios.get(
-        `https://cardano-mainnet.blockfrost.io/api/v0/txs/${txHash}/utxos`,
-        { headers: { project_id: BLOCKFROST_API_KEY } }
-      );
+  // The challenge amount must be sent back to the same wallet
+  const selfOutputs = outputs.filter(o => o.address === wallet);
+  if (selfOutputs.length === 0) {
+    return { success: false, message: `Transaction is not a self-send: no output goes back to \`${wallet}\`.` };
+  }
 
-      const { inputs, outputs } = response.data;
+  const expected = adaToLovelace(amount);
+  const matching = selfOutputs.some(o => getLovelace(o) === expected);
+  if (!matching) {
+    const sent = selfOutputs.map(o => (getLovelace(o) / 1_000_000).toFixed(6)).join(', ');
+    return { success: false, message: `Wrong amount: expected exactly ${amount} ADA, found ${sent} ADA.` };
+  }
 
-      // Check if wallet is involved (sender or receiver)
-      const isSender = inputs.some(i => i.address === wallet);
-      const isReceiver = outputs.some(o => o.address === wallet);
+  // block_time is in seconds, issuedAt in milliseconds
+  if (tx.block_time * 1000 < issuedAt) {
+    return { success: false, message: 'Transaction was made before the verification challenge was issued. Send a new transaction.' };
+  }
 
-      console.log(`Attempt ${attempt}: Sender: ${isSender}, Receiver: ${isReceiver}, Wallet: ${wallet}`);
+  return { success: true, message: 'Transaction verified successfully.' };
+}
 
-      if (isSender || isReceiver) {
-        console.log(`✅ Transaction ${txHash} verified for wallet ${wallet}`);
-        return { success: true, message: 'Transaction verified successfully.' };
-      } else {
-        return { success: false, message: 'Wallet not found in transaction inputs or outputs.' };
+// Message shown after a successful verification
+function getVerifiedMessage(wallet, claim, blockReason) {
+  if (claim === 'blocked') return BLOCKED_MESSAGES[blockReason];
+  if (claim === 'rejected') return CLAIM_REJECTED_MESSAGE;
+  const note = claim === 'flagged'
+    ? '\n\n🚩 This wallet is also linked to another account and has been flagged for admin review. Its holdings only count for one account.'
+    : '';
+  return `✅ Wallet \`${wallet}\` \nverified, congrats! \n\nUse \`/getrole\` to assign your role and proof you are a Mfer.${note}`;
+}
+
+// Create the verify bot on a chain provider (see chain-provider.js) and a Discord client. Options:
+//   env    settings (CLIENT_ID, DISCORD_BOT_TOKEN, PORT, PUBLIC_URL, ROLE_BOT_URL, SYNC_SECRET), default process.env
+//   sleep  waits between verifyTransaction() retries and before the /hash reminder
+// Returns { app, listen, handleInteraction, verifyTransaction, storeVerifiedUser, loadSessions, expireSessions }
+export function createVerifyBot({ chain, client, env = process.env, sleep = defaultSleep }) {
+  const PORT = env.PORT || 3001;
+  const PUBLIC_URL = (env.PUBLIC_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
+  const ROLE_BOT_URL = (env.ROLE_BOT_URL || 'http://localhost:3002').replace(/\/$/, '');
+  const SYNC_SECRET = env.SYNC_SECRET;
+  const CLAIM_POLICY = getClaimPolicy();
+  const ADDRESS_PREFIX = getAddressPrefix(chain.network);
+
+  // Pending /verify challenges: discordId -> { wallet, amount, issuedAt, expiresAt }, persisted to sessions.json
+  const verificationMap = new Map();
+  // Interactions of challenges started since the last restart, used for the timeout notice
+  const challengeInteractions = new Map();
+  // Pending signature verifications: nonce -> { discordId, wallet, message, expiresAt, interaction }
+  const signSessions = new Map();
+
+  // Load pending challenges from sessions.json, dropping any that expired while the bot was down
+  async function loadSessions() {
+    try {
+      const sessions = await sessionsStore.read();
+      const now = Date.now();
+      for (const [discordId, session] of Object.entries(sessions)) {
+        if (session.expiresAt > now) verificationMap.set(discordId, session);
       }
+      console.log(`✅ Restored ${verificationMap.size} pending verification(s) from sessions.json`);
     } catch (err) {
-      const status = err.response?.status;
-      const errorMsg = err.response?.data?.message || err.message;
-      console.error(`❌ Attempt ${attempt} failed: Status ${status}, Error: ${errorMsg}`);
-
-      if (status === 429 && attempt < maxRetries) {
-        console.log(`Rate limit hit, retrying after ${5 * attempt} seconds...`);
-        await new Promise(res => setTimeout(res, 5000 * attempt));
-        continue;
-      }
-      if (status === 404 && attempt < maxRetries) {
-        console.log(`Transaction not found, retrying after 30 seconds...`);
-        await new Promise(res => setTimeout(res, 30000));
-        continue;
-      }
-      if (status === 400) {
-        return { success: false, message: 'Invalid transaction hash.' };
-      }
-      if (status === 403) {
-        return { success: false, message: 'Invalid Blockfrost API key.' };
-      }
-      return { success: false, message: `API error: ${errorMsg}` };
+      console.error('❌ Failed to read sessions.json:', err.message);
     }
   }
-  return { success: false, message: 'Transaction not found after retries. Wait longer and try again.' };
-}
 
-// Store verified user
-async function storeVerifiedUser(discordId, wallet) {
-  const dbPath = path.join(__dirname, 'verified.json');
-  let existing = {};
+  // Persist pending challenges; the store queues writes so they never overlap
+  function saveSessions() {
+    return sessionsStore.write(Object.fromEntries(verificationMap))
+      .catch(err => console.error('❌ Failed to write sessions.json:', err.message));
+  }
 
-  try {
-    const data = await fs.readFile(dbPath, 'utf-8');
-    if (data.trim() === '') {
-      console.log('⚠️ verified.json is empty, initializing with {}');
-      existing = {};
-    } else {
-      existing = JSON.parse(data);
-    }
-  } catch (err) {
-    if (err.code === 'ENOENT' || err.message.includes('Unexpected end of JSON input')) {
-      console.log('⚠️ verified.json not found or invalid, initializing with {}');
-      existing = {};
-    } else {
-      console.error('❌ Failed to read verified.json:', err.message);
-      throw err;
-    }
+  // Remove a pending challenge
+  async function clearSession(discordId) {
+    challengeInteractions.delete(discordId);
+    if (verificationMap.delete(discordId)) await saveSessions();
   }
 
-  if (!existing[discordId]) existing[discordId] = [];
-  if (!existing[discordId].includes(wallet)) existing[discordId].push(wallet);
+  // Expire challenges and signing links past their expiry time
+  async function expireSessions() {
+    const now = Date.now();
+    for (const [nonce, session] of signSessions) {
+      if (session.expiresAt <= now) signSessions.delete(nonce);
+    }
 
-  try {
-    await fs.writeFile(dbPath, JSON.stringify(existing, null, 2));
-    console.log(`✅ Stored verified wallet for user ${discordId}`);
-  } catch (err) {
-    console.error('❌ Failed to write verified.json:', err.message);
-    throw err;
+    for (const [discordId, session] of verificationMap) {
+      if (session.expiresAt > now) continue;
+      const interaction = challengeInteractions.get(discordId);
+      await clearSession(discordId);
+      console.log(`⏱ Verification challenge expired for user ${discordId}`);
+      await logAuditEvent('verification.failed', { discordId, wallet: session.wallet, method: 'transaction', reason: 'challenge expired' });
+      if (!interaction) continue;
+      try {
+        await interaction.followUp({
+          content: '⏱ Verification timed out. Retry with `/verify`.',
+          flags: 64 // Ephemeral flag
+        });
+      } catch (err) {
+        console.error('❌ Timeout follow-up failed:', err.message);
+      }
+    }
   }
-}
 
-// Register slash commands
-client.once('ready', async () => {
-  console.log(`🤖 Logged in as ${client.user?.tag || 'unknown'}`);
-
-  const commands = [
-    new SlashCommandBuilder()
-      .setName('verify')
-      .setDescription('Start DN-Wallet verification')
-      .addStringOption(opt =>
-        opt.setName('wallet').setDescription('Copy/Paste your Cardano wallet address').setRequired(true)),
-    new SlashCommandBuilder()
-      .setName('hash')
-      .setDescription('Submit transaction hash')
-      .addStringOption(opt =>
-        opt.setName('txhash').setDescription('Transaction hash').setRequired(true))
-  ].map(cmd => cmd.toJSON());
-
-  const rest = new REST({ version: '10' }).setToken(DISCORD_BOT_TOKEN);
-  try {
-    await rest.put(Routes.applicationCommands(CLIENT_ID), { body: commands });
-    console.log('✅ Registered commands: /verify, /hash');
-  } catch (err) {
-    console.error('❌ Command registration failed:', err.message, err.stack);
-    process.exit(1);
+  // Initialize Express server
+  const app = express();
+  app.use(express.json());
+  app.get('/', (req, res) => res.send('Verify bot is running.'));
+
+  // Get a signing session if it exists and has not expired
+  function getSignSession(nonce) {
+    const session = signSessions.get(nonce);
+    if (!session) return null;
+    if (Date.now() > session.expiresAt) {
+      signSessions.delete(nonce);
+      return null;
+    }
+    return session;
   }
-});
 
-// Handle interactions
-client.on('interactionCreate', async interaction => {
-  if (interaction.type !== InteractionType.ApplicationCommand) return;
+  // Serve the CIP-30 signing page for a nonce
+  app.get('/sign/:nonce', async (req, res) => {
+    const session = getSignSession(req.params.nonce);
+    if (!session) {
+      res.status(404).send('This verification link is invalid or has expired. Run /verifysign again in Discord.');
+      return;
+    }
+
+    try {
+      const template = await fs.readFile(path.join(__dirname, 'sign-page.html'), 'utf-8');
+      const stakeAddress = getStakeAddress(session.wallet);
+      const challenge = {
+        wallet: session.wallet,
+        addressHex: addressToHex(session.wallet),
+        stakeAddressHex: stakeAddress ? addressToHex(stakeAddress) : null,
+        message: session.message
+      };
+      // Escape "<" so the embedded JSON cannot close the script tag
+      res.send(template.replace('__CHALLENGE__', () => JSON.stringify(challenge).replace(/</g, '\\u003c')));
+    } catch (err) {
+      console.error('❌ Failed to serve signing page:', err.message);
+      res.status(500).send('An error occurred. Try again later.');
+    }
+  });
 
-  const discordId = interaction.user.id;
+  // Receive the CIP-30 signData result and verify it
+  app.post('/sign/:nonce', async (req, res) => {
+    try {
+      const session = getSignSession(req.params.nonce);
+      if (!session) {
+        res.status(404).json({ success: false, message: 'This verification link is invalid or has expired.' });
+        return;
+      }
+      // Nonces are single-use, whatever the outcome
+      signSessions.delete(req.params.nonce);
+
+      // Optionally stakeSignature / stakeKey: the same message signed for the reward address, proving the stake key
+      const { signature, key, stakeSignature, stakeKey } = req.body || {};
+      const withStake = stakeSignature !== undefined || stakeKey !== undefined;
+      if (typeof signature !== 'string' || typeof key !== 'string' ||
+          (withStake && (typeof stakeSignature !== 'string' || typeof stakeKey !== 'string'))) {
+        res.status(400).json({ success: false, message: 'Missing signature or key.' });
+        return;
+      }
 
-  if (interaction.commandName === 'verify') {
-    const wallet = interaction.options.getString('wallet');
+      const { discordId, wallet, message, interaction } = session;
+      const stakeAddress = withStake ? getStakeAddress(wallet) : null;
+      if (withStake && !stakeAddress) {
+        res.status(400).json({ success: false, message: 'This wallet has no stake key.' });
+        return;
+      }
+      let result = verifySignedMessage({ signature, key, address: wallet, message });
+      if (result.success && stakeAddress) {
+        const stakeResult = verifySignedMessage({ signature: stakeSignature, key: stakeKey, address: stakeAddress, message });
+        if (!stakeResult.success) result = { success: false, message: `Stake key: ${stakeResult.message}` };
+      }
+      if (!result.success) {
+        console.log(`❌ Signature verification failed for ${discordId}: ${result.message}`);
+        await logAuditEvent('verification.failed', { discordId, wallet, method: 'signature', reason: result.message });
+        res.status(400).json(result);
+        return;
+      }
 
-    if (!wallet?.startsWith('addr1')) {
+      let stored;
       try {
-        await interaction.reply({
-          content: '❌ Invalid wallet address. Must start with "addr1".',
+        stored = await storeVerifiedUser(discordId, wallet, 'signature', { stakeVerified: Boolean(stakeAddress) });
+      } catch (err) {
+        res.status(500).json({ success: false, message: 'Failed to store verification. Try again later.' });
+        return;
+      }
+
+      if (!stored.linked) {
+        const message = stored.claim === 'blocked'
+          ? 'Verification is blocked. Contact an admin.'
+          : 'This wallet is already linked to another Discord account.';
+        res.status(409).json({ success: false, message });
+      } else {
+        console.log(`✅ Signature verified for wallet ${wallet} (user ${discordId})`);
+        res.json(result);
+      }
+
+      try {
+        await interaction.followUp({
+          content: getVerifiedMessage(wallet, stored.claim, stored.blockReason),
           flags: 64 // Ephemeral flag
         });
       } catch (err) {
-        console.error('❌ Reply failed:', err.message);
+        console.error('❌ Follow-up failed:', err.message);
       }
-      return;
+    } catch (err) {
+      console.error('❌ Failed to process signature:', err.message);
+      if (!res.headersSent) res.status(500).json({ success: false, message: 'An error occurred. Try again later.' });
+    }
+  });
+
+  // Verify Cardano transaction
+  async function verifyTransaction(txHash, challenge) {
+    if (!isValidTxHash(txHash)) {
+      console.error('❌ Invalid transaction hash format:', txHash);
+      return { success: false, message: 'Invalid transaction hash format (must be 64 hex characters).' };
+    }
+
+    const { wallet } = challenge;
+    const maxRetries = 5;
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        const [utxos, tx] = await Promise.all([chain.getTxUtxos(txHash), chain.getTx(txHash)]);
+
+        const result = checkChallenge(utxos, tx, challenge);
+        console.log(`Attempt ${attempt}: ${result.success ? 'Challenge met' : result.message} Wallet: ${wallet}`);
+
+        if (result.success) {
+          console.log(`✅ Transaction ${txHash} verified for wallet ${wallet}`);
+        }
+        return result;
+      } catch (err) {
+        const status = err.status;
+        const errorMsg = err.message;
+        console.error(`❌ Attempt ${attempt} failed: Status ${status}, Error: ${errorMsg}`);
+
+        if (status === 429 && attempt < maxRetries) {
+          console.log(`Rate limit hit, retrying after ${5 * attempt} seconds...`);
+          await sleep(5000 * attempt);
+          continue;
+        }
+        if (status === 404 && attempt < maxRetries) {
+          console.log(`Transaction not found, retrying after 30 seconds...`);
+          await sleep(30000);
+          continue;
+        }
+        // Still not on chain after the last attempt
+        if (status === 404) break;
+        if (status === 400) {
+          return { success: false, message: 'Invalid transaction hash.' };
+        }
+        if (status === 403) {
+          return { success: false, message: `Invalid ${chain.name} API key.` };
+        }
+        return { success: false, message: `API error: ${errorMsg}` };
+      }
+    }
+    return { success: false, message: 'Transaction not found after retries. Wait longer and try again.' };
+  }
+
+  // Store verified user, applying the claim policy when another account already owns the wallet
+  // method is how the wallet was verified ('transaction' or 'signature'), for the audit log; stakeVerified is whether
+  // the member also signed with the stake key, which lets the wallet count (and conflict) by stake key
+  // Returns { linked, claim: 'new' | 'transferred' | 'flagged' | 'rejected' | 'blocked', previousOwners, stakeAddress }
+  async function storeVerifiedUser(discordId, wallet, method, { stakeVerified = false } = {}) {
+    const stakeAddress = getStakeAddress(wallet);
+    const provenStake = stakeVerified ? stakeAddress : null;
+    const blockReason = await getBlockReason(discordId, wallet, stakeAddress);
+    if (blockReason) {
+      console.log(`⛔ Blocked verification of ${wallet} by ${discordId} (${blockReason} blocked)`);
+      await logAuditEvent('verification.failed', { discordId, wallet, method, reason: `${blockReason} is blocked` });
+      return { linked: false, claim: 'blocked', blockReason, previousOwners: [], stakeAddress };
+    }
+
+    const result = await updateVerifiedData(existing => {
+      const previousOwners = findOtherOwners(existing, discordId, wallet, provenStake);
+      let claim = 'new';
+      if (previousOwners.length > 0) {
+        if (CLAIM_POLICY === 'reject') return { linked: false, claim: 'rejected', previousOwners };
+        if (CLAIM_POLICY === 'transfer') {
+          detachWallet(existing, previousOwners, wallet, provenStake);
+          claim = 'transferred';
+        } else {
+          claim = 'flagged';
+        }
+      }
+
+      const wallets = normalizeWallets(existing[discordId]);
+      const verifiedAt = new Date().toISOString();
+
+      const current = wallets.find(w => w.address === wallet);
+      const newLink = !current;
+      if (current) {
+        // Re-verification refreshes the stake credential and timestamp, but not linkedAt; a stake key proven before
+        // stays proven
+        current.stakeAddress = stakeAddress;
+        current.verifiedAt = verifiedAt;
+        if (provenStake) current.stakeVerified = true;
+      } else {
+        const linked = { address: wallet, stakeAddress, linkedAt: verifiedAt, verifiedAt };
+        if (provenStake) linked.stakeVerified = true;
+        wallets.push(linked);
+      }
+      if (!wallets.some(w => w.primary)) wallets[0].primary = true;
+      existing[discordId] = wallets;
+      return { linked: true, claim, previousOwners, newLink };
+    });
+
+    if (result.claim === 'rejected') {
+      console.log(`⛔ Rejected claim of ${wallet} by ${discordId}: already linked to ${result.previousOwners.join(', ')}`);
+      await logAuditEvent('verification.failed', { discordId, wallet, method, reason: 'already linked to another account' });
+    } else {
+      console.log(`✅ Stored verified wallet for user ${discordId}${provenStake ? ` (stake key ${provenStake})` : ''}`);
+      await logAuditEvent('verification.succeeded', { discordId, wallet, method });
+      if (result.newLink) await logAuditEvent('wallet.linked', { discordId, wallet, reason: `verified (${result.claim})` });
+    }
+    if (result.claim === 'transferred') {
+      console.log(`🔁 Transferred ${wallet} from ${result.previousOwners.join(', ')} to ${discordId}`);
+      for (const owner of result.previousOwners) {
+        await logAuditEvent('wallet.unlinked', { discordId: owner, wallet, reason: `transferred to ${discordId}` });
+      }
+      // The previous owners lose these holdings
+      for (const owner of result.previousOwners) await requestRoleSync(owner);
     }
+    if (result.claim === 'flagged') {
+      await recordFlaggedClaim({ address: wallet, stakeAddress, claimant: discordId, owners: result.previousOwners });
+    }
+    return { ...result, stakeAddress };
+  }
+
+  // Check whether a wallet can be verified before starting; returns the refusal message or null
+  async function getVerifyRefusal(discordId, wallet) {
+    const stakeAddress = getStakeAddress(wallet);
+    const blockReason = await getBlockReason(discordId, wallet, stakeAddress);
+    if (blockReason) return BLOCKED_MESSAGES[blockReason];
+    if (CLAIM_POLICY !== 'reject') return null;
+    // Whether the stake key gets proven is only known once signed, so only the address can be checked up front
+    const verified = await loadVerifiedData();
+    return findOtherOwners(verified, discordId, wallet, null).length > 0 ? CLAIM_REJECTED_MESSAGE : null;
+  }
+
+  // Mark one of a user's wallets as primary; returns false when it is not linked
+  async function setPrimaryWallet(discordId, wallet) {
+    return updateVerifiedData(existing => {
+      const wallets = normalizeWallets(existing[discordId]);
+      if (!wallets.some(w => w.address === wallet)) return false;
+      for (const w of wallets) {
+        if (w.address === wallet) w.primary = true;
+        else delete w.primary;
+      }
+      existing[discordId] = wallets;
+      return true;
+    });
+  }
+
+  // Ask role-bot to re-sync a member's roles (e.g. after a wallet was removed)
+  async function requestRoleSync(discordId) {
+    try {
+      await axios.post(`${ROLE_BOT_URL}/sync/${discordId}`, null, {
+        headers: SYNC_SECRET ? { 'x-sync-secret': SYNC_SECRET } : {}
+      });
+      console.log(`🔄 Requested role sync for user ${discordId}`);
+      return true;
+    } catch (err) {
+      console.error(`❌ Role sync request for ${discordId} failed:`, err.response?.status || err.message);
+      return false;
+    }
+  }
+
+  // Register slash commands
+  client.once('ready', async () => {
+    console.log(`🤖 Logged in as ${client.user?.tag || 'unknown'}`);
+    setAuditClient(client);
+
+    const commands = [
+      new SlashCommandBuilder()
+        .setName('verify')
+        .setDescription('Start DN-Wallet verification')
+        .addStringOption(opt =>
+          opt.setName('wallet').setDescription('Copy/Paste your Cardano wallet address').setRequired(true)),
+      new SlashCommandBuilder()
+        .setName('hash')
+        .setDescription('Submit transaction hash')
+        .addStringOption(opt =>
+          opt.setName('txhash').setDescription('Transaction hash').setRequired(true)),
+      new SlashCommandBuilder()
+        .setName('verifysign')
+        .setDescription('Verify your wallet by signing a message (no transaction needed)')
+        .addStringOption(opt =>
+          opt.setName('wallet').setDescription('Copy/Paste your Cardano wallet address').setRequired(true)),
+      new SlashCommandBuilder()
+        .setName('challenge')
+        .setDescription('Manage your pending wallet verification')
+        .addSubcommand(sub => sub.setName('status').setDescription('Show your pending verification challenge'))
+        .addSubcommand(sub => sub.setName('cancel').setDescription('Cancel your pending verification challenge')),
+      new SlashCommandBuilder()
+        .setName('wallets')
+        .setDescription('Manage your linked wallets')
+        .addSubcommand(sub => sub.setName('list').setDescription('List your linked wallets'))
+        .addSubcommand(sub => sub
+          .setName('remove')
+          .setDescription('Unlink a wallet you sold or lost')
+          .addStringOption(opt =>
+            opt.setName('wallet').setDescription('Linked wallet address').setRequired(true).setAutocomplete(true)))
+        .addSubcommand(sub => sub
+          .setName('primary')
+          .setDescription('Set your primary wallet')
+          .addStringOption(opt =>
+            opt.setName('wallet').setDescription('Linked wallet address').setRequired(true).setAutocomplete(true)))
+        .addSubcommand(sub => sub
+          .setName('reverify')
+          .setDescription('Verify a linked wallet again')
+          .addStringOption(opt =>
+            opt.setName('wallet').setDescription('Linked wallet address').setRequired(true).setAutocomplete(true))
+          .addStringOption(opt =>
+            opt.setName('method').setDescription('How to verify (default: transaction)')
+              .addChoices({ name: 'transaction', value: 'transaction' }, { name: 'signature', value: 'signature' })))
+    ].map(cmd => cmd.toJSON());
+
+    const rest = new REST({ version: '10' }).setToken(env.DISCORD_BOT_TOKEN);
+    try {
+      await rest.put(Routes.applicationCommands(env.CLIENT_ID), { body: commands });
+      console.log('✅ Registered commands: /verify, /hash, /verifysign, /challenge, /wallets');
+    } catch (err) {
+      console.error('❌ Command registration failed:', err.message, err.stack);
+      process.exit(1);
+    }
+  });
 
+  // Start a /verify challenge: the user sends a random amount from the wallet to itself
+  async function startChallenge(interaction, discordId, wallet) {
     const amount = generateRandomAdaAmount();
-    verificationMap.set(discordId, { wallet, amount });
+    const issuedAt = Date.now();
+    verificationMap.set(discordId, { wallet, amount, issuedAt, expiresAt: issuedAt + CHALLENGE_TTL });
+    challengeInteractions.set(discordId, interaction);
+    await saveSessions();
+    await logAuditEvent('verification.started', { discordId, wallet, method: 'transaction' });
 
     try {
       await interaction.reply({
@@ -204,7 +527,7 @@ client.on('interactionCreate', async interaction => {
         flags: 64 // Ephemeral flag
       });
 
-      setTimeout(async () => {
+      sleep(HASH_REMINDER_DELAY).then(async () => {
         try {
           await interaction.followUp({
             content: '✏️ Submit your transaction hash now, type the command:\n `/hash`',
@@ -213,21 +536,7 @@ client.on('interactionCreate', async interaction => {
         } catch (err) {
           console.error('❌ Follow-up failed:', err.message);
         }
-      }, 30000); // Increased to 30 seconds
-
-      setTimeout(async () => {
-        if (verificationMap.has(discordId)) {
-          verificationMap.delete(discordId);
-          try {
-            await interaction.followUp({
-              content: '⏱ Verification timed out. Retry with `/verify`.',
-              flags: 64 // Ephemeral flag
-            });
-          } catch (err) {
-            console.error('❌ Timeout follow-up failed:', err.message);
-          }
-        }
-      }, 15 * 60 * 1000);
+      });
     } catch (err) {
       console.error('❌ Reply failed:', err.message);
       try {
@@ -241,72 +550,349 @@ client.on('interactionCreate', async interaction => {
     }
   }
 
-  if (interaction.commandName === 'hash') {
-    const txHash = interaction.options.getString('txhash');
+  // Start a signature verification: the user signs a one-time message on the signing page
+  async function startSignSession(interaction, discordId, wallet) {
+    // Only one pending signing link per user
+    for (const [nonce, session] of signSessions) {
+      if (session.discordId === discordId) signSessions.delete(nonce);
+    }
+
+    const nonce = crypto.randomBytes(16).toString('hex');
+    signSessions.set(nonce, {
+      discordId,
+      wallet,
+      message: buildSignMessage(discordId, nonce),
+      expiresAt: Date.now() + SIGN_NONCE_TTL,
+      interaction
+    });
+    await logAuditEvent('verification.started', { discordId, wallet, method: 'signature' });
+
+    try {
+      await interaction.reply({
+        content:
+`🔐 To verify without a transaction:\n
+1. Open ${PUBLIC_URL}/sign/${nonce} in a browser with your Cardano wallet extension.
+2. Connect the wallet that owns \`${wallet}\` and sign the message, then sign it again with the stake key so the whole wallet counts.
+The link works once and expires in 10 minutes.`,
+        flags: 64 // Ephemeral flag
+      });
+    } catch (err) {
+      console.error('❌ Reply failed:', err.message);
+    }
+  }
+
+  // Tell the user something went wrong, as a reply or a follow-up to one already sent
+  async function replyWithError(interaction) {
+    try {
+      const reply = { content: '❌ An error occurred. Try again later.', flags: 64 }; // Ephemeral flag
+      if (interaction.deferred || interaction.replied) await interaction.followUp(reply);
+      else await interaction.reply(reply);
+    } catch (replyErr) {
+      console.error('❌ Failed to send error reply:', replyErr.message);
+    }
+  }
 
-    if (!verificationMap.has(discordId)) {
+  // Handle interactions
+  async function handleInteraction(interaction) {
+    if (interaction.type === InteractionType.ApplicationCommandAutocomplete && interaction.commandName === 'wallets') {
+      // Suggest the user's linked wallets
       try {
-        await interaction.reply({
-          content: '❌ No verification in progress. Start with `/verify`.',
-          flags: 64 // Ephemeral flag
-        });
+        const verified = await loadVerifiedData();
+        const typed = interaction.options.getFocused();
+        const choices = normalizeWallets(verified[interaction.user.id])
+          .filter(w => w.address.includes(typed))
+          .slice(0, 25)
+          .map(w => ({ name: `${w.primary ? '⭐ ' : ''}${w.address.slice(0, 20)}...${w.address.slice(-8)}`, value: w.address }));
+        await interaction.respond(choices);
       } catch (err) {
-        console.error('❌ Reply failed:', err.message);
+        console.error('❌ Autocomplete failed:', err.message);
       }
       return;
     }
 
-    const { wallet, amount } = verificationMap.get(discordId);
+    if (interaction.type !== InteractionType.ApplicationCommand) return;
 
-    try {
-      await interaction.reply({
-        content: `🔍 Verifying transaction \`${txHash}\`...`,
-        flags: 64 // Ephemeral flag
-      });
+    const discordId = interaction.user.id;
 
-      const { success, message } = await verifyTransaction(txHash, wallet);
+    if (interaction.commandName === 'verify') {
+      const wallet = interaction.options.getString('wallet');
 
-      if (success) {
-        await storeVerifiedUser(discordId, wallet);
-        verificationMap.delete(discordId);
+      if (!wallet?.startsWith(ADDRESS_PREFIX)) {
         try {
-          await interaction.followUp({
-            content: `✅ Wallet \`${wallet}\` \nverified, congrats! \n\nUse \`/getrole\` to assign your role and proof you are a Mfer.`,
+          await interaction.reply({
+            content: `❌ Invalid wallet address. Must start with "${ADDRESS_PREFIX}".`,
             flags: 64 // Ephemeral flag
           });
         } catch (err) {
-          console.error('❌ Follow-up failed:', err.message);
+          console.error('❌ Reply failed:', err.message);
+        }
+        return;
+      }
+
+      try {
+        const refusal = await getVerifyRefusal(discordId, wallet);
+        if (refusal) {
+          await interaction.reply({ content: refusal, flags: 64 }).catch(err => console.error('❌ Reply failed:', err.message)); // Ephemeral flag
+          return;
+        }
+
+        await startChallenge(interaction, discordId, wallet);
+      } catch (err) {
+        console.error('❌ /verify failed:', err.message);
+        await replyWithError(interaction);
+      }
+    }
+
+    if (interaction.commandName === 'verifysign') {
+      const wallet = interaction.options.getString('wallet')?.trim();
+
+      let valid = false;
+      try {
+        valid = wallet.startsWith(ADDRESS_PREFIX) && addressToHex(wallet).length > 0;
+      } catch (err) {
+        valid = false;
+      }
+      if (!valid) {
+        try {
+          await interaction.reply({
+            content: `❌ Invalid wallet address. Must be a Cardano ${chain.network} address starting with "${ADDRESS_PREFIX}".`,
+            flags: 64 // Ephemeral flag
+          });
+        } catch (err) {
+          console.error('❌ Reply failed:', err.message);
+        }
+        return;
+      }
+
+      try {
+        const refusal = await getVerifyRefusal(discordId, wallet);
+        if (refusal) {
+          await interaction.reply({ content: refusal, flags: 64 }).catch(err => console.error('❌ Reply failed:', err.message)); // Ephemeral flag
+          return;
+        }
+
+        await startSignSession(interaction, discordId, wallet);
+      } catch (err) {
+        console.error('❌ /verifysign failed:', err.message);
+        await replyWithError(interaction);
+      }
+    }
+
+    if (interaction.commandName === 'challenge') {
+      const subcommand = interaction.options.getSubcommand();
+      const challenge = verificationMap.get(discordId);
+      const pending = challenge && challenge.expiresAt > Date.now() ? challenge : null;
+      const signLinks = [...signSessions].filter(([, s]) => s.discordId === discordId && s.expiresAt > Date.now());
+
+      let content;
+      if (subcommand === 'status') {
+        const lines = [];
+        if (pending) {
+          lines.push(`🔐 Send **${pending.amount} ADA** from \`${pending.wallet}\` to itself, then submit the hash with \`/hash\`.`);
+          lines.push(`Expires <t:${Math.floor(pending.expiresAt / 1000)}:R>.`);
         }
+        for (const [, session] of signLinks) {
+          lines.push(`✍️ Signing link for \`${session.wallet}\` expires <t:${Math.floor(session.expiresAt / 1000)}:R>.`);
+        }
+        content = lines.length > 0 ? lines.join('\n') : 'No verification in progress. Start with `/verify` or `/verifysign`.';
       } else {
+        for (const [nonce] of signLinks) signSessions.delete(nonce);
+        if (challenge) await clearSession(discordId);
+        content = pending || signLinks.length > 0
+          ? '🗑️ Your pending verification has been cancelled.'
+          : 'No verification in progress.';
+      }
+
+      try {
+        await interaction.reply({ content, flags: 64 }); // Ephemeral flag
+      } catch (err) {
+        console.error('❌ Reply failed:', err.message);
+      }
+    }
+
+    if (interaction.commandName === 'wallets') {
+      const subcommand = interaction.options.getSubcommand();
+      const wallet = interaction.options.getString('wallet')?.trim();
+
+      try {
+        const verified = await loadVerifiedData();
+        const wallets = normalizeWallets(verified[discordId]);
+        const isLinked = wallets.some(w => w.address === wallet);
+
+        if (subcommand === 'list') {
+          const lines = wallets.map(w =>
+            `${w.primary ? '⭐' : '•'} \`${w.address}\`` +
+            `${w.stakeAddress ? `\n   stake key \`${w.stakeAddress}\`${w.stakeVerified ? '' : ' (not signed for, only this address counts)'}` : ''}` +
+            `${w.verifiedAt ? `\n   verified <t:${Math.floor(Date.parse(w.verifiedAt) / 1000)}:R>` : ''}`);
+          await interaction.reply({
+            content: lines.length > 0
+              ? `🔗 Your linked wallets:\n${lines.join('\n')}`
+              : 'No wallets linked. Start with `/verify` or `/verifysign`.',
+            flags: 64 // Ephemeral flag
+          });
+          return;
+        }
+
+        if (!isLinked) {
+          await interaction.reply({
+            content: `❌ \`${wallet}\` is not linked to your account. See \`/wallets list\`.`,
+            flags: 64 // Ephemeral flag
+          });
+          return;
+        }
+
+        if (subcommand === 'reverify') {
+          const refusal = await getVerifyRefusal(discordId, wallet);
+          if (refusal) {
+            await interaction.reply({ content: refusal, flags: 64 }); // Ephemeral flag
+            return;
+          }
+          const method = interaction.options.getString('method') || 'transaction';
+          if (method === 'signature') await startSignSession(interaction, discordId, wallet);
+          else await startChallenge(interaction, discordId, wallet);
+          return;
+        }
+
+        if (subcommand === 'primary') {
+          await setPrimaryWallet(discordId, wallet);
+          await interaction.reply({ content: `⭐ \`${wallet}\` is now your primary wallet.`, flags: 64 }); // Ephemeral flag
+          return;
+        }
+
+        if (subcommand === 'remove') {
+          await interaction.deferReply({ flags: 64 }); // Ephemeral flag
+          await removeVerifiedWallet(discordId, wallet);
+          console.log(`🗑️ User ${discordId} unlinked wallet ${wallet}`);
+          await logAuditEvent('wallet.unlinked', { discordId, wallet, reason: 'removed by the member' });
+          const synced = await requestRoleSync(discordId);
+          await interaction.editReply(synced
+            ? `🗑️ \`${wallet}\` has been unlinked. Your roles are being updated.`
+            : `🗑️ \`${wallet}\` has been unlinked. Use \`/getrole\` to update your roles.`);
+        }
+      } catch (err) {
+        console.error('❌ Wallet command failed:', err.message);
+        await replyWithError(interaction);
+      }
+    }
+
+    if (interaction.commandName === 'hash') {
+      const txHash = interaction.options.getString('txhash');
+
+      const challenge = verificationMap.get(discordId);
+      if (!challenge || challenge.expiresAt <= Date.now()) {
+        if (challenge) await clearSession(discordId);
         try {
-          await interaction.followUp({
-            content: `❌ Verification failed: ${message}\nEnsure:
-- Hash is correct (64 hex characters)
-- Transaction involves \`${wallet}\`
-- Transaction is confirmed on Cardano mainnet
-Wait 60 seconds and retry with \`/hash\`, or restart with \`/verify\`.`,
+          await interaction.reply({
+            content: challenge
+              ? '⏱ Your verification challenge has expired. Restart with `/verify`.'
+              : '❌ No verification in progress. Start with `/verify`.',
             flags: 64 // Ephemeral flag
           });
         } catch (err) {
-          console.error('❌ Follow-up failed:', err.message);
+          console.error('❌ Reply failed:', err.message);
         }
+        return;
       }
-    } catch (err) {
-      console.error('❌ Hash verification error:', err.message, err.stack);
+
+      const { wallet, amount } = challenge;
+
       try {
-        await interaction.followUp({
-          content: '❌ An error occurred during verification. Try again.',
+        await interaction.reply({
+          content: `🔍 Verifying transaction \`${txHash}\`...`,
           flags: 64 // Ephemeral flag
         });
-      } catch (replyErr) {
-        console.error('❌ Failed to send error reply:', replyErr.message);
+
+        const { success, message } = await verifyTransaction(txHash, challenge);
+
+        if (success) {
+          const { claim, blockReason } = await storeVerifiedUser(discordId, wallet, 'transaction');
+          await clearSession(discordId);
+          try {
+            await interaction.followUp({
+              content: getVerifiedMessage(wallet, claim, blockReason),
+              flags: 64 // Ephemeral flag
+            });
+          } catch (err) {
+            console.error('❌ Follow-up failed:', err.message);
+          }
+        } else {
+          await logAuditEvent('verification.failed', { discordId, wallet, method: 'transaction', reason: message });
+          try {
+            await interaction.followUp({
+              content: `❌ Verification failed: ${message}\nEnsure:
+- Hash is correct (64 hex characters)
+- Exactly **${amount} ADA** was sent from \`${wallet}\` back to itself
+- Transaction was made after you ran \`/verify\`
+- Transaction is confirmed on Cardano ${chain.network}
+Wait 60 seconds and retry with \`/hash\`, or restart with \`/verify\`.`,
+              flags: 64 // Ephemeral flag
+            });
+          } catch (err) {
+            console.error('❌ Follow-up failed:', err.message);
+          }
+        }
+      } catch (err) {
+        console.error('❌ Hash verification error:', err.message, err.stack);
+        try {
+          await interaction.followUp({
+            content: '❌ An error occurred during verification. Try again.',
+            flags: 64 // Ephemeral flag
+          });
+        } catch (replyErr) {
+          console.error('❌ Failed to send error reply:', replyErr.message);
+        }
       }
     }
   }
-});
 
-// Login to Discord
-client.login(DISCORD_BOT_TOKEN).catch(err => {
-  console.error('❌ Login failed:', err.message, err.stack);
-  process.exit(1);
-});
+  client.on('interactionCreate', handleInteraction);
+
+  return {
+    app,
+    // Start the web server for the signing pages
+    listen: () => app.listen(PORT, () => console.log(`✅ Server running on port ${PORT} - Access at ${PUBLIC_URL}`)),
+    handleInteraction,
+    verifyTransaction,
+    storeVerifiedUser,
+    loadSessions,
+    expireSessions
+  };
+}
+
+async function main() {
+  // Load environment variables from Replit Secrets
+  dotenv.config();
+
+  // Validate environment variables
+  if (!process.env.DISCORD_BOT_TOKEN || !process.env.CLIENT_ID) {
+    console.error('❌ Missing environment variables in Replit Secrets: DISCORD_BOT_TOKEN or CLIENT_ID');
+    process.exit(1);
+  }
+
+  // Chain data provider (Blockfrost by default, see chain-provider.js)
+  let chain;
+  try {
+    chain = createChainProvider();
+  } catch (err) {
+    console.error('❌ Chain provider configuration error:', err.message);
+    process.exit(1);
+  }
+
+  // Initialize Discord client
+  const client = new Client({ intents: [GatewayIntentBits.Guilds] });
+  const bot = createVerifyBot({ chain, client });
+  bot.listen();
+
+  // Restore pending challenges and expire them on a schedule
+  await bot.loadSessions();
+  setInterval(bot.expireSessions, SESSION_SWEEP_INTERVAL);
+
+  // Login to Discord
+  client.login(process.env.DISCORD_BOT_TOKEN).catch(err => {
+    console.error('❌ Login failed:', err.message, err.stack);
+    process.exit(1);
+  });
+}
+
+// Only start when run directly, so tests can import the bot
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) await main();
@@ -0,0 +1,95 @@
+// Global wallet -> owner index, so one wallet (or stake key) only ever counts for one Discord account
+//
+// WALLET_CLAIM_POLICY decides what happens when a wallet that is already linked to someone else is verified:
+//   reject   - refuse the new claim (default)
+//   transfer - move the wallet to the newest verifier
+//   flag     - link it to both accounts, record the claim in flagged-claims.json for admins;
+//              holdings still only count for the account that linked it first
+import { openStore } from './storage.js';
+import { getHoldingsKey, normalizeWallets } from './verified-store.js';
+
+const flaggedStore = openStore('flagged-claims', { defaultValue: () => [] });
+
+export const CLAIM_POLICIES = ['reject', 'transfer', 'flag'];
+
+export function getClaimPolicy() {
+  const policy = (process.env.WALLET_CLAIM_POLICY || 'reject').toLowerCase();
+  if (!CLAIM_POLICIES.includes(policy)) {
+    console.warn(`⚠️ Unknown WALLET_CLAIM_POLICY "${policy}", using "reject"`);
+    return 'reject';
+  }
+  return policy;
+}
+
+// Whether a stored wallet is the same wallet as an address / stake key. Stake keys only match between wallets that
+// proved them (stakeVerified), since any address can be built on someone else's stake key
+function isSameWallet(wallet, address, stakeAddress) {
+  return wallet.address === address || Boolean(stakeAddress && wallet.stakeVerified && wallet.stakeAddress === stakeAddress);
+}
+
+// Discord IDs other than discordId that already own the address or its stake key;
+// pass stakeAddress only when the claimant proved it
+export function findOtherOwners(verified, discordId, address, stakeAddress) {
+  return Object.entries(verified)
+    .filter(([id, entry]) => id !== discordId && normalizeWallets(entry).some(w => isSameWallet(w, address, stakeAddress)))
+    .map(([id]) => id);
+}
+
+// Remove the address (and any wallet sharing its proven stake key) from the given owners
+export function detachWallet(verified, owners, address, stakeAddress) {
+  for (const owner of owners) {
+    const remaining = normalizeWallets(verified[owner]).filter(w => !isSameWallet(w, address, stakeAddress));
+    if (remaining.length === 0) {
+      delete verified[owner];
+      continue;
+    }
+    if (!remaining.some(w => w.primary)) remaining[0].primary = true;
+    verified[owner] = remaining;
+  }
+}
+
+// Holdings key -> Discord ID that gets to count it: the earliest link wins. linkedAt, not verifiedAt, since
+// re-verifying a wallet must not hand its holdings to an account that linked it later
+export function buildHoldingsOwners(verified) {
+  const claims = [];
+  for (const [discordId, entry] of Object.entries(verified)) {
+    for (const wallet of normalizeWallets(entry)) {
+      // Legacy entries have no link time and predate every timestamped one
+      claims.push({ key: getHoldingsKey(wallet), discordId, at: wallet.linkedAt ? Date.parse(wallet.linkedAt) : 0 });
+    }
+  }
+  claims.sort((a, b) => a.at - b.at);
+
+  const owners = new Map();
+  for (const claim of claims) {
+    if (!owners.has(claim.key)) owners.set(claim.key, claim.discordId);
+  }
+  return owners;
+}
+
+// Holdings keys of a member that are not already counted for another member
+export function getCountedHoldingsKeys(verified, discordId, owners = buildHoldingsOwners(verified)) {
+  const keys = [...new Set(normalizeWallets(verified[discordId]).map(getHoldingsKey))];
+  const counted = keys.filter(key => owners.get(key) === discordId);
+  const skipped = keys.filter(key => owners.get(key) !== discordId);
+  if (skipped.length > 0) {
+    console.log(`⚠️ Not counting ${skipped.join(', ')} for ${discordId}: already counted for another member`);
+  }
+  return counted;
+}
+
+// Record a contested claim for admins to review; admin links and unlinks asked for outside the primary guild are
+// recorded here too, the unlinks with action: 'unlink'
+export async function recordFlaggedClaim(claim) {
+  await flaggedStore.update(flagged => {
+    flagged.push({ ...claim, flaggedAt: new Date().toISOString() });
+  });
+  console.log(claim.action === 'unlink'
+    ? `🚩 Flagged unlink of ${claim.address} from ${claim.owners.join(', ')}`
+    : `🚩 Flagged claim of ${claim.address} by ${claim.claimant} (owned by ${claim.owners.join(', ') || 'nobody'})`);
+}
+
+// Load the contested claims recorded so far
+export function loadFlaggedClaims() {
+  return flaggedStore.read();
+}